@@ -6,14 +6,24 @@ const path = require("path");
 
 // Import routes
 const trackRoutes = require("./routes/track");
+const shortLinkRoutes = require("./routes/shortLinks");
 const analyticsRoutes = require("./routes/analytics");
 const QRCode = require("./models/QRCode");
 const authRoutes = require("./routes/auth");
 const qrCodeRoutes = require("./routes/qrcode");
+const presetRoutes = require("./routes/presets");
+const domainRoutes = require("./routes/domains");
+const campaignRoutes = require("./routes/campaigns");
 const authMiddleware = require("./middleware/auth");
+const hostRouting = require("./middleware/hostRouting");
+const { storeImage } = require("./utils/renderCache");
 
 const app = express();
 
+// Render ends TLS at its proxy; trusting it makes req.secure and req.ip
+// describe the client's connection, e.g. for the split test cookie
+app.set("trust proxy", 1);
+
 // Middleware
 // Configure CORS to allow requests from the Netlify frontend
 app.use(
@@ -24,6 +34,8 @@ app.use(
     credentials: true,
   })
 );
+// Branded domains only reach the scan routes; unknown hosts are rejected
+app.use(hostRouting);
 // Increase payload size limit to 50MB for handling large QR code images and bulk operations
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
@@ -40,8 +52,12 @@ mongoose
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/qrcodes", qrCodeRoutes);
+app.use("/api/presets", presetRoutes);
+app.use("/api/domains", domainRoutes);
+app.use("/api/campaigns", campaignRoutes);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/track", trackRoutes);
+app.use("/s", shortLinkRoutes);
 
 // Legacy route for backwards compatibility
 app.post("/api/qrcodes-legacy", authMiddleware, async (req, res) => {
@@ -49,10 +65,13 @@ app.post("/api/qrcodes-legacy", authMiddleware, async (req, res) => {
     const { text, qrImage } = req.body;
     const userId = req.user.userId; // Get userId from auth middleware
 
+    // Keep the client-rendered image in the render cache instead of the document
+    const renderKey = qrImage ? await storeImage(qrImage) : null;
+
     const qrCode = new QRCode({
       userId,
       text,
-      qrImage,
+      renderKey,
     });
     await qrCode.save();
     res.status(201).json(qrCode);
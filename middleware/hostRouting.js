@@ -0,0 +1,39 @@
+const {
+  DOMAIN_PATHS,
+  isAppHost,
+  findVerifiedDomain,
+} = require("../utils/customDomains");
+
+const rejectHost = (res, status, message) =>
+  res.status(status).send(`
+    <html>
+      <body style="text-align:center;font-family:Arial;padding:20px;">
+        <h2>⚠️ ${message}</h2>
+      </body>
+    </html>
+  `);
+
+// Route requests by Host header: the app's own hosts pass, verified branded
+// domains only reach the scan routes and get req.customDomain, other hosts
+// are rejected. Deployments behind further hostnames list them in APP_HOSTS
+module.exports = async (req, res, next) => {
+  const hostname = String(req.hostname || "").toLowerCase();
+  if (isAppHost(hostname)) {
+    return next();
+  }
+
+  try {
+    const domain = hostname ? await findVerifiedDomain(hostname) : null;
+    if (!domain) {
+      return rejectHost(res, 421, "Unknown domain");
+    }
+    if (!DOMAIN_PATHS.some((prefix) => req.path.startsWith(prefix))) {
+      return rejectHost(res, 404, "Not found");
+    }
+    req.customDomain = domain;
+    next();
+  } catch (error) {
+    console.error("Host routing error:", error);
+    rejectHost(res, 500, "An error occurred. Please try again later.");
+  }
+};
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Settings shared by the codes carrying a tag, such as the UTM parameters of a
+// marketing campaign (see utils/queryParams.js)
+const campaignSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+  },
+  tag: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  queryParams: [{ _id: false, name: String, value: String }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+campaignSchema.index({ userId: 1, tag: 1 }, { unique: true });
+
+module.exports = mongoose.model("Campaign", campaignSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+const { customizationDefinition } = require("./customization");
+
+// Reusable customization; team presets are shared with every member of the team
+const designPresetSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+  },
+  teamId: { type: String, default: null },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  customization: customizationDefinition,
+  // Applied to new codes of the owner that do not pick a preset
+  isDefault: { type: Boolean, default: false },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("DesignPreset", designPresetSchema);
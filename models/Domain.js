@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// Branded domain a user serves the tracking URLs of their codes from; usable
+// once the owner proved control of it (see utils/customDomains.js). Several
+// users may claim a hostname, but only the first to verify it gets it
+const domainSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+  },
+  hostname: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+  },
+  verificationToken: {
+    type: String,
+    required: true,
+  },
+  verifiedAt: { type: Date, default: null },
+  verificationMethod: { type: String, enum: ["dns", "file"], default: null },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+domainSchema.index({ userId: 1, hostname: 1 }, { unique: true });
+domainSchema.index(
+  { hostname: 1 },
+  {
+    name: "hostname_verified",
+    unique: true,
+    partialFilterExpression: { verifiedAt: { $type: "date" } },
+  }
+);
+
+module.exports = mongoose.model("Domain", domainSchema);
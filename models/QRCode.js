@@ -1,4 +1,34 @@
 const mongoose = require("mongoose");
+const { getRenderUrls } = require("../utils/renderCache");
+const { SYMBOLOGY_NAMES } = require("../utils/symbologies");
+const { QR_TYPE_NAMES } = require("../utils/qrTypeFormatter");
+const { customizationDefinition } = require("./customization");
+
+// What a code points to: its type, payload and structured content
+const destinationDefinition = {
+  qrType: { type: String, enum: QR_TYPE_NAMES },
+  text: String,
+  content: { type: mongoose.Schema.Types.Mixed, default: null },
+};
+
+// Split test of destination variants (see utils/splitTests.js)
+const splitTestSchema = new mongoose.Schema({
+  variants: [
+    {
+      name: String,
+      weight: { type: Number, min: 0 },
+      ...destinationDefinition,
+      scans: { type: Number, default: 0 },
+      conversions: { type: Number, default: 0 },
+    },
+  ],
+  // Scans after which the variant with the best conversion rate becomes the
+  // destination of the code; 0 to promote by hand
+  autoPromoteAfter: { type: Number, min: 0, default: 0 },
+  startedAt: { type: Date, default: Date.now },
+  promotedVariantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  promotedAt: Date,
+});
 
 const qrCodeSchema = new mongoose.Schema({
   userId: {
@@ -9,35 +39,32 @@ const qrCodeSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Structured input of the qrType (see utils/qrTypeFormatter.js) that text is
+  // built from; null for codes created from a raw payload
+  content: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Legacy inline data URL, moved to the render cache by scripts/migrate-inline-images.js
   qrImage: {
     type: String,
-    required: true,
+    select: false,
   },
+  // Key of the rendered images in the render cache (see utils/renderCache.js)
+  renderKey: { type: String, default: null },
   createdAt: {
     type: Date,
     default: Date.now,
   },
   qrType: {
     type: String,
-    enum: [
-      "url",
-      "text",
-      "vcard",
-      "wifi",
-      "email",
-      "sms",
-      "geo",
-      "event",
-      "phone",
-    ],
+    enum: QR_TYPE_NAMES,
     default: "url",
   },
-  customization: {
-    color: { type: String, default: "#000000" },
-    backgroundColor: { type: String, default: "#ffffff" },
-    logo: { type: String, default: null },
-    margin: { type: Number, default: 4 },
-  },
+  // Barcode symbology; everything but QR is rendered without a logo
+  symbology: { type: String, enum: SYMBOLOGY_NAMES, default: "qr" },
+  customization: customizationDefinition,
+  // Design preset the customization is based on, and the fields this code overrides
+  presetId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  presetOverrides: { type: mongoose.Schema.Types.Mixed, default: null },
+
   analytics: {
     scanCount: { type: Number, default: 0 },
     lastScanned: { type: Date },
@@ -45,6 +72,10 @@ const qrCodeSchema = new mongoose.Schema({
       {
         country: String,
         city: String,
+        // Split test variant the scan was sent to, and whether the scan
+        // converted
+        variantId: mongoose.Schema.Types.ObjectId,
+        converted: Boolean,
         timestamp: { type: Date, default: Date.now },
       },
     ],
@@ -54,6 +85,15 @@ const qrCodeSchema = new mongoose.Schema({
         count: Number,
       },
     ],
+    // Clicks on the buttons of link pages, by the ID of the link
+    linkClicks: [
+      {
+        linkId: String,
+        label: String,
+        count: { type: Number, default: 0 },
+        lastClicked: Date,
+      },
+    ],
   },
   security: {
     password: {
@@ -81,10 +121,80 @@ const qrCodeSchema = new mongoose.Schema({
       },
     },
   },
+  // Earlier and current destinations, oldest first and capped (see
+  // utils/destinations.js); loaded on request only
+  versions: {
+    type: [
+      {
+        version: Number,
+        ...destinationDefinition,
+        createdBy: String,
+        createdAt: { type: Date, default: Date.now },
+        // Version this one restored, for rollbacks
+        restoredFrom: Number,
+      },
+    ],
+    select: false,
+  },
+  // Number of the current destination; 0 for codes created before versioning
+  currentVersion: { type: Number, default: 0 },
+  // Destinations used instead of the current one between startsAt and
+  // endsAt (open-ended without), resolved when the code is scanned
+  scheduledDestinations: [
+    {
+      ...destinationDefinition,
+      startsAt: { type: Date, required: true },
+      endsAt: Date,
+      createdBy: String,
+      createdAt: { type: Date, default: Date.now },
+    },
+  ],
+  // Ordered rules sending scans elsewhere by device, OS, country, language or
+  // local time (see utils/redirectRules.js); the first match wins
+  redirectRules: [
+    {
+      name: String,
+      conditions: {
+        devices: [String],
+        os: [String],
+        countries: [String],
+        languages: [String],
+        days: [String],
+        startTime: String,
+        endTime: String,
+        timezone: String,
+      },
+      ...destinationDefinition,
+    },
+  ],
+  splitTest: { type: splitTestSchema, default: null },
+  // Query parameters added to the destination URL on redirect, on top of
+  // those of the code's tags (see utils/queryParams.js)
+  queryParams: [{ _id: false, name: String, value: String }],
   tags: [String],
+  trackingEnabled: { type: Boolean, default: false },
+  trackingUrl: { type: String, default: null },
+  // Branded domain of the tracking URL; null for the app's own
+  domainId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  // Short link code of tracked codes and an optional vanity slug, both
+  // lowercase; either resolves under /s (see utils/shortLinks.js). Codes
+  // without them leave the fields unset, which the sparse indexes skip
+  shortCode: { type: String, unique: true, sparse: true },
+  slug: { type: String, unique: true, sparse: true },
   isExpired: { type: Boolean, default: false },
 });
 
+qrCodeSchema.set("id", false);
+qrCodeSchema.set("toJSON", { virtuals: true });
+
+qrCodeSchema.virtual("imageUrl").get(function () {
+  return this.renderKey ? getRenderUrls(this.renderKey).imageUrl : null;
+});
+
+qrCodeSchema.virtual("thumbnailUrl").get(function () {
+  return this.renderKey ? getRenderUrls(this.renderKey).thumbnailUrl : null;
+});
+
 // Pre-save middleware to ensure consistent security state
 qrCodeSchema.pre("save", function (next) {
   // Clear password if not password protected
@@ -111,4 +221,43 @@ qrCodeSchema.pre("save", function (next) {
   next();
 });
 
+// Content actually encoded in the image: the tracking URL when tracking is on
+qrCodeSchema.methods.getEncodedContent = function () {
+  return this.trackingEnabled && this.trackingUrl
+    ? this.trackingUrl
+    : this.text;
+};
+
+// Scheduled destination active at a point in time, the one that started last
+// when several are; null without one
+qrCodeSchema.methods.getScheduledDestination = function (date = new Date()) {
+  const active = (this.scheduledDestinations || [])
+    .filter(
+      (schedule) =>
+        schedule.startsAt <= date &&
+        (!schedule.endsAt || date < schedule.endsAt)
+    )
+    .sort((a, b) => b.startsAt - a.startsAt)[0];
+  if (!active) {
+    return null;
+  }
+  const { qrType, text, content } = active;
+  return { qrType, text, content };
+};
+
+// Destination at a point in time: an active scheduled destination, otherwise
+// the current one
+qrCodeSchema.methods.getDestination = function (date = new Date()) {
+  const { qrType, text, content } = this;
+  return this.getScheduledDestination(date) || { qrType, text, content };
+};
+
+// Settings passed to the renderer: the customization plus the symbology
+qrCodeSchema.methods.getRenderCustomization = function () {
+  return {
+    ...(this.toObject().customization || {}),
+    symbology: this.symbology || "qr",
+  };
+};
+
 module.exports = mongoose.model("QRCode", qrCodeSchema);
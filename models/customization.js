@@ -0,0 +1,83 @@
+/**
+ * Customization fields shared by QR codes and design presets
+ */
+
+const mongoose = require("mongoose");
+const {
+  MODULE_STYLES,
+  EYE_SHAPES,
+  GRADIENT_TYPES,
+  FRAME_STYLES,
+  FRAME_FONTS,
+  ERROR_CORRECTION_LEVELS,
+  LOGO_SHAPES,
+} = require("../utils/qrRenderer");
+
+// Shape and colors of one finder pattern; unset colors follow the module color
+const eyeStyleSchema = new mongoose.Schema(
+  {
+    outerShape: { type: String, enum: EYE_SHAPES, default: "square" },
+    innerShape: { type: String, enum: EYE_SHAPES },
+    outerColor: { type: String },
+    innerColor: { type: String },
+  },
+  { _id: false }
+);
+
+const customizationDefinition = {
+  color: { type: String, default: "#000000" },
+  backgroundColor: { type: String, default: "#ffffff" },
+  logo: { type: String, default: null },
+  logoStyle: {
+    // Percentage of the image width
+    size: { type: Number, min: 5, max: 40, default: 25 },
+    shape: { type: String, enum: LOGO_SHAPES, default: "original" },
+    // Percentage of the shorter logo side, for rounded logos
+    cornerRadius: { type: Number, min: 0, max: 50, default: 20 },
+    plate: {
+      enabled: { type: Boolean, default: false },
+      color: { type: String, default: "#FFFFFF" },
+      // Percentage of the logo width
+      padding: { type: Number, min: 0, max: 50, default: 10 },
+    },
+    clearModules: { type: Boolean, default: false },
+  },
+  margin: { type: Number, default: 4 },
+  transparentBackground: { type: Boolean, default: false },
+  errorCorrectionLevel: {
+    type: String,
+    enum: ERROR_CORRECTION_LEVELS,
+    default: "H",
+  },
+  // Fixed symbol version, or the smallest version to use; unset picks the smallest that fits
+  version: { type: Number, min: 1, max: 40 },
+  minVersion: { type: Number, min: 1, max: 40 },
+  moduleStyle: { type: String, enum: MODULE_STYLES, default: "square" },
+  eyes: {
+    topLeft: eyeStyleSchema,
+    topRight: eyeStyleSchema,
+    bottomLeft: eyeStyleSchema,
+  },
+  gradient: {
+    type: { type: String, enum: GRADIENT_TYPES },
+    rotation: { type: Number, default: 0 },
+    colorStops: [
+      {
+        _id: false,
+        offset: { type: Number, min: 0, max: 1 },
+        color: String,
+      },
+    ],
+  },
+  frame: {
+    style: { type: String, enum: FRAME_STYLES, default: "none" },
+    text: { type: String, default: "Scan me" },
+    font: { type: String, enum: FRAME_FONTS, default: "roboto" },
+    bold: { type: Boolean, default: true },
+    color: { type: String, default: "#000000" },
+    textColor: { type: String, default: "#FFFFFF" },
+    backgroundColor: { type: String, default: "#FFFFFF" },
+  },
+};
+
+module.exports = { customizationDefinition };
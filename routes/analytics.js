@@ -4,6 +4,7 @@
 
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const QRCode = require("../models/QRCode");
 const authMiddleware = require("../middleware/auth");
 const {
@@ -11,6 +12,31 @@ const {
   getAnalytics,
   isQrCodeExpired,
 } = require("../utils/analytics");
+const { createAccessToken, hasLandingPage } = require("../utils/landingPages");
+const {
+  getRequestContext,
+  resolveRedirect,
+} = require("../utils/redirectRules");
+const { belongsToHost } = require("../utils/customDomains");
+const { buildRedirectUrl } = require("../utils/queryParams");
+const {
+  rememberVariant,
+  promoteIfDue,
+  getSplitTestReport,
+} = require("../utils/splitTests");
+
+// Destination of a scan through the API and the request it was resolved for,
+// keeping the scanner on the split test variant it was sent to. Scans of a
+// split test also get the ID to be recorded under and their token
+const resolveScan = (req, res, qrCode) => {
+  const qrCodeId = String(qrCode._id);
+  const context = getRequestContext(req, { qrCodeId });
+  const resolved = resolveRedirect(qrCode, context);
+  const scan = resolved.variant
+    ? rememberVariant(req, res, qrCodeId, resolved.variant.id)
+    : null;
+  return { ...resolved, context, scan };
+};
 
 // Track QR code scan (no auth required)
 router.get("/track/:qrCodeId/:trackingId", async (req, res) => {
@@ -32,6 +58,8 @@ router.get("/track/:qrCodeId/:trackingId", async (req, res) => {
       });
     }
 
+    const { variant, destination, scan } = resolveScan(req, res, qrCode);
+
     // Record scan with available data
     const scanData = {
       userAgent: req.headers["user-agent"],
@@ -39,9 +67,14 @@ router.get("/track/:qrCodeId/:trackingId", async (req, res) => {
       referer: req.headers.referer,
       country: "Unknown",
       city: "Unknown",
+      variantId: variant ? variant.id : null,
+      scanId: scan ? scan.scanId : null,
     };
 
     const updatedQrCode = await recordScan(qrCodeId, scanData);
+    if (variant) {
+      await promoteIfDue(qrCodeId);
+    }
 
     if (!updatedQrCode) {
       return res.json({
@@ -61,8 +94,8 @@ router.get("/track/:qrCodeId/:trackingId", async (req, res) => {
     res.json({
       success: true,
       qrCode: {
-        text: updatedQrCode.text,
-        type: updatedQrCode.qrType,
+        text: destination.text,
+        type: destination.qrType,
         analytics: {
           scanCount: updatedQrCode.analytics.scanCount,
           maxScans: updatedQrCode.security.maxScans || 0,
@@ -79,7 +112,7 @@ router.get("/track/:qrCodeId/:trackingId", async (req, res) => {
 router.post("/verify-password/:qrCodeId", async (req, res) => {
   try {
     const { qrCodeId } = req.params;
-    const { password } = req.body;
+    const { password, trackingId } = req.body;
 
     console.log(
       "Password verification attempt for QR:",
@@ -89,7 +122,7 @@ router.post("/verify-password/:qrCodeId", async (req, res) => {
     );
 
     const qrCode = await QRCode.findById(qrCodeId);
-    if (!qrCode) {
+    if (!qrCode || !belongsToHost(qrCode, req)) {
       console.log("QR code not found");
       return res.status(404).json({ error: "QR code not found" });
     }
@@ -152,20 +185,42 @@ router.post("/verify-password/:qrCodeId", async (req, res) => {
     console.log("Password correct");
 
     // Record scan after successful password verification
+    const { variant, destination, context, scan } = resolveScan(
+      req,
+      res,
+      qrCode
+    );
     await recordScan(qrCodeId, {
       userAgent: req.headers["user-agent"],
       ip: req.ip,
       referer: req.headers.referer,
+      variantId: variant ? variant.id : null,
+      scanId: scan ? scan.scanId : null,
     });
+    if (variant) {
+      await promoteIfDue(qrCodeId);
+    }
 
-    // Return success and the original destination URL
+    // Return success and the destination URL with the query parameters of the
+    // code, or the landing page of codes without one
+    const redirectUrl = hasLandingPage(destination)
+      ? `/track/${qrCode._id}/${encodeURIComponent(
+          trackingId || "direct"
+        )}/page?token=${encodeURIComponent(createAccessToken(qrCode._id))}`
+      : await buildRedirectUrl(qrCode, destination.text, {
+          trackingId,
+          country: context.country,
+          userAgent: context.userAgent,
+          variantId: variant ? variant.id : null,
+          variantToken: scan ? scan.token : null,
+        });
     res.json({
       success: true,
-      redirectUrl: qrCode.text,
+      redirectUrl,
       message: "Password verified successfully",
       qrCode: {
-        text: qrCode.text,
-        type: qrCode.qrType,
+        text: destination.text,
+        type: destination.qrType,
         analytics: {
           scanCount: qrCode.analytics.scanCount,
           maxScans: qrCode.security.maxScans || 0,
@@ -178,6 +233,32 @@ router.post("/verify-password/:qrCodeId", async (req, res) => {
   }
 });
 
+// Results of the split test of a QR code, per variant (requires auth)
+router.get("/:qrCodeId/split-test", authMiddleware, async (req, res) => {
+  try {
+    const { qrCodeId } = req.params;
+    const qrCode = mongoose.isValidObjectId(qrCodeId)
+      ? await QRCode.findOne({ _id: qrCodeId, userId: req.user.userId })
+      : null;
+
+    if (!qrCode) {
+      return res
+        .status(404)
+        .json({ error: "QR code not found or unauthorized" });
+    }
+    if (!qrCode.splitTest) {
+      return res
+        .status(404)
+        .json({ error: "No split test found for this QR code" });
+    }
+
+    res.json(getSplitTestReport(qrCode.splitTest));
+  } catch (error) {
+    console.error("Error getting split test results:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Get analytics for all user's QR codes (requires auth)
 router.get("/", authMiddleware, async (req, res) => {
   try {
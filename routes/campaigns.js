@@ -0,0 +1,67 @@
+/**
+ * Routes for campaigns: query parameters shared by every code with a tag,
+ * added to their destination URLs on redirect (see utils/queryParams.js)
+ */
+
+const express = require("express");
+const router = express.Router();
+const Campaign = require("../models/Campaign");
+const authMiddleware = require("../middleware/auth");
+const { PLACEHOLDERS, normalizeQueryParams } = require("../utils/queryParams");
+const { ValidationError, sendError } = require("../utils/errors");
+
+// List the user's campaigns and the placeholders their values may use
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const campaigns = await Campaign.find({ userId: req.user.userId }).sort({
+      tag: 1,
+    });
+    res.json({
+      campaigns,
+      placeholders: PLACEHOLDERS.map((name) => `{${name}}`),
+    });
+  } catch (error) {
+    sendError(res, error, "listing campaigns");
+  }
+});
+
+// Set the query parameters of a tag, given as { name: value } or
+// [{ name, value }]
+router.put("/:tag", authMiddleware, async (req, res) => {
+  try {
+    const tag = req.params.tag.trim();
+    if (!tag) {
+      throw new ValidationError("tag must not be empty");
+    }
+    const queryParams = normalizeQueryParams(req.body.queryParams);
+
+    const campaign = await Campaign.findOneAndUpdate(
+      { userId: req.user.userId, tag },
+      { $set: { queryParams, updatedAt: new Date() } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.json(campaign);
+  } catch (error) {
+    sendError(res, error, "updating campaign");
+  }
+});
+
+// Delete the campaign of a tag; its codes keep their own parameters
+router.delete("/:tag", authMiddleware, async (req, res) => {
+  try {
+    const campaign = await Campaign.findOneAndDelete({
+      userId: req.user.userId,
+      tag: req.params.tag.trim(),
+    });
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    res.json({ message: "Campaign deleted successfully" });
+  } catch (error) {
+    sendError(res, error, "deleting campaign");
+  }
+});
+
+module.exports = router;
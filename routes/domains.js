@@ -0,0 +1,149 @@
+/**
+ * Routes for branded domains of tracking URLs: register, verify and remove
+ * (see utils/customDomains.js)
+ */
+
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const Domain = require("../models/Domain");
+const QRCodeModel = require("../models/QRCode");
+const authMiddleware = require("../middleware/auth");
+const {
+  normalizeHostname,
+  createVerificationToken,
+  getVerificationInstructions,
+  verifyDomain,
+  forgetDomain,
+} = require("../utils/customDomains");
+const { ValidationError, sendError } = require("../utils/errors");
+
+const VERIFIED_ELSEWHERE = "This domain is already verified by another account";
+
+const toResponse = (domain) => ({
+  ...domain.toJSON(),
+  verified: Boolean(domain.verifiedAt),
+  instructions: getVerificationInstructions(domain),
+});
+
+const findOwnDomain = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? Domain.findOne({ _id: req.params.id, userId: req.user.userId })
+    : null;
+
+// List the user's domains
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const domains = await Domain.find({ userId: req.user.userId }).sort({
+      hostname: 1,
+    });
+    res.json(domains.map(toResponse));
+  } catch (error) {
+    sendError(res, error, "listing domains");
+  }
+});
+
+// Register a domain; the response tells how to verify it. Unverified claims of
+// others do not block it, so nobody can hold a hostname they do not control
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const hostname = normalizeHostname(req.body.hostname);
+    if (await Domain.exists({ hostname, userId })) {
+      throw new ValidationError("You already registered this domain");
+    }
+    if (await Domain.exists({ hostname, verifiedAt: { $ne: null } })) {
+      throw new ValidationError(VERIFIED_ELSEWHERE);
+    }
+
+    const domain = new Domain({
+      userId,
+      hostname,
+      verificationToken: createVerificationToken(),
+    });
+    await domain.save();
+
+    res.status(201).json(toResponse(domain));
+  } catch (error) {
+    sendError(res, error, "registering domain");
+  }
+});
+
+// Check the TXT record or well-known file of a domain; method is "dns" or
+// "file", both are tried without it. The first account to verify a hostname
+// gets it
+router.post("/:id/verify", authMiddleware, async (req, res) => {
+  try {
+    const domain = await findOwnDomain(req);
+    if (!domain) {
+      return res
+        .status(404)
+        .json({ error: "Domain not found or unauthorized" });
+    }
+    if (domain.verifiedAt) {
+      return res.json(toResponse(domain));
+    }
+    if (
+      await Domain.exists({
+        hostname: domain.hostname,
+        verifiedAt: { $ne: null },
+      })
+    ) {
+      throw new ValidationError(VERIFIED_ELSEWHERE);
+    }
+
+    const method = await verifyDomain(domain, req.body.method);
+    if (!method) {
+      throw new ValidationError("The domain could not be verified", {
+        instructions: getVerificationInstructions(domain),
+      });
+    }
+    domain.verifiedAt = new Date();
+    domain.verificationMethod = method;
+    try {
+      await domain.save();
+    } catch (error) {
+      // Another account verified the hostname meanwhile
+      if (error.code === 11000) {
+        throw new ValidationError(VERIFIED_ELSEWHERE);
+      }
+      throw error;
+    }
+    // Hosts without a verified domain are cached too
+    forgetDomain(domain.hostname);
+
+    res.json(toResponse(domain));
+  } catch (error) {
+    sendError(res, error, "verifying domain");
+  }
+});
+
+// Remove a domain no code uses anymore
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const domain = await findOwnDomain(req);
+    if (!domain) {
+      return res
+        .status(404)
+        .json({ error: "Domain not found or unauthorized" });
+    }
+    const codeCount = await QRCodeModel.countDocuments({
+      domainId: domain._id,
+    });
+    if (codeCount) {
+      throw new ValidationError(
+        "The domain is used by codes; delete them first",
+        { codeCount }
+      );
+    }
+
+    await domain.deleteOne();
+    forgetDomain(domain.hostname);
+
+    res.json({ message: "Domain deleted successfully" });
+  } catch (error) {
+    sendError(res, error, "deleting domain");
+  }
+});
+
+module.exports = router;
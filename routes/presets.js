@@ -0,0 +1,161 @@
+/**
+ * Routes for design presets: reusable customizations shared by a user's codes
+ * or by everyone in their team
+ */
+
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const DesignPreset = require("../models/DesignPreset");
+const QRCodeModel = require("../models/QRCode");
+const User = require("../models/User");
+const authMiddleware = require("../middleware/auth");
+const { buildScene } = require("../utils/qrRenderer");
+const {
+  getAccessibleQuery,
+  findAccessiblePreset,
+  rerenderPresetCodes,
+} = require("../utils/designPresets");
+const { ValidationError, sendError } = require("../utils/errors");
+
+// Reject customizations the renderer cannot draw before they are stored
+const validateCustomization = async (customization = {}) => {
+  if (typeof customization !== "object" || Array.isArray(customization)) {
+    throw new ValidationError("customization must be an object");
+  }
+  await buildScene("https://example.com", customization);
+};
+
+// Only one default preset per user
+const clearOtherDefaults = (userId, presetId) =>
+  DesignPreset.updateMany(
+    { userId, _id: { $ne: presetId }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+
+// List the presets of the user and their team
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const presets = await DesignPreset.find(
+      await getAccessibleQuery(req.user.userId)
+    ).sort({ name: 1 });
+    res.json(presets);
+  } catch (error) {
+    sendError(res, error, "listing design presets");
+  }
+});
+
+// Get a single preset
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const preset = await findAccessiblePreset(req.user.userId, req.params.id);
+    if (!preset) {
+      return res.status(404).json({ error: "Design preset not found" });
+    }
+    res.json(preset);
+  } catch (error) {
+    sendError(res, error, "fetching design preset");
+  }
+});
+
+// Create a preset; shared presets are visible to the whole team
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { name, customization = {}, isDefault = false, shared } = req.body;
+
+    let teamId = null;
+    if (shared) {
+      const user = await User.findById(userId).select("teamId");
+      if (!user?.teamId) {
+        throw new ValidationError("Only team members can share presets");
+      }
+      teamId = user.teamId;
+    }
+    await validateCustomization(customization);
+
+    const preset = new DesignPreset({
+      userId,
+      teamId,
+      name,
+      customization,
+      isDefault: Boolean(isDefault),
+    });
+    await preset.save();
+    if (preset.isDefault) {
+      await clearOtherDefaults(userId, preset._id);
+    }
+
+    res.status(201).json(preset);
+  } catch (error) {
+    sendError(res, error, "creating design preset");
+  }
+});
+
+// Update a preset owned by the user. With rerender: true every code based on
+// the preset is rendered again with the new design
+router.put("/:id", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { name, customization, isDefault, rerender = false } = req.body;
+
+    const preset = mongoose.isValidObjectId(req.params.id)
+      ? await DesignPreset.findOne({ _id: req.params.id, userId })
+      : null;
+    if (!preset) {
+      return res
+        .status(404)
+        .json({ error: "Design preset not found or unauthorized" });
+    }
+
+    if (name !== undefined) {
+      preset.name = name;
+    }
+    if (customization !== undefined) {
+      await validateCustomization(customization);
+      preset.customization = customization;
+    }
+    if (isDefault !== undefined) {
+      preset.isDefault = Boolean(isDefault);
+    }
+    preset.updatedAt = new Date();
+    await preset.save();
+    if (preset.isDefault) {
+      await clearOtherDefaults(userId, preset._id);
+    }
+
+    const result = rerender ? await rerenderPresetCodes(preset) : null;
+
+    res.json({ ...preset.toJSON(), rerender: result });
+  } catch (error) {
+    sendError(res, error, "updating design preset");
+  }
+});
+
+// Delete a preset; codes based on it keep their current customization
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const preset = mongoose.isValidObjectId(req.params.id)
+      ? await DesignPreset.findOneAndDelete({
+          _id: req.params.id,
+          userId: req.user.userId,
+        })
+      : null;
+    if (!preset) {
+      return res
+        .status(404)
+        .json({ error: "Design preset not found or unauthorized" });
+    }
+
+    await QRCodeModel.updateMany(
+      { presetId: preset._id },
+      { $set: { presetId: null, presetOverrides: null } }
+    );
+
+    res.json({ message: "Design preset deleted successfully" });
+  } catch (error) {
+    sendError(res, error, "deleting design preset");
+  }
+});
+
+module.exports = router;
@@ -5,29 +5,170 @@
 const express = require("express");
 const router = express.Router();
 const QRCodeModel = require("../models/QRCode");
-const QRCode = require("qrcode");
 const authMiddleware = require("../middleware/auth");
 const multer = require("multer");
 const path = require("path");
+const crypto = require("crypto");
 const fs = require("fs-extra");
-const Jimp = require("jimp"); // Changed from require("jimp").default
 const mongoose = require("mongoose");
 const qrTypeFormatter = require("../utils/qrTypeFormatter");
-const { createTrackingUrl } = require("../utils/analytics");
-
-// Configure file upload for logos
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = path.join(__dirname, "../uploads/logos");
-    fs.ensureDirSync(uploadDir); // Create directory if it doesn't exist
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    cb(null, "logo-" + uniqueSuffix + ext);
-  },
-});
+const { parseContent, detectContent } = require("../utils/qrTypeParser");
+const {
+  renderQRCode,
+  resolveDimensions,
+  getSymbolInfo,
+  buildScene,
+  FORMATS,
+} = require("../utils/qrRenderer");
+const { ensureRenders } = require("../utils/renderCache");
+const { assertScannable } = require("../utils/scannability");
+const { normalizeLogo } = require("../utils/logoProcessor");
+const {
+  CAPTIONS,
+  resolveLayout,
+  renderLabelSheet,
+} = require("../utils/labelSheet");
+const {
+  validateFilenameTemplate,
+  writeExportArchive,
+} = require("../utils/exportArchive");
+const { getSymbology } = require("../utils/symbologies");
+const { resolvePresetCustomization } = require("../utils/designPresets");
+const {
+  FILE_TYPES,
+  MAX_FILE_SIZE,
+  storeFile,
+  getStoredFile,
+  getReferencedFileIds,
+  removeUnusedFiles,
+} = require("../utils/fileStorage");
+const {
+  pickDestination,
+  isSameDestination,
+  recordVersion,
+  createInitialVersion,
+  resolveSchedulePeriod,
+  pruneSchedules,
+} = require("../utils/destinations");
+const {
+  MAX_RULES,
+  normalizeConditions,
+  describeRequest,
+  resolveRedirect,
+} = require("../utils/redirectRules");
+const {
+  validateVariants,
+  promoteVariant,
+  getSplitTestReport,
+} = require("../utils/splitTests");
+const {
+  generateShortCode,
+  resolveSlug,
+  createShortUrl,
+} = require("../utils/shortLinks");
+const { getBaseUrl, resolveCodeDomain } = require("../utils/customDomains");
+const { normalizeQueryParams } = require("../utils/queryParams");
+const { ValidationError } = require("../utils/errors");
+
+const MAX_SELECTION_SIZE = 1000; // Codes per print sheet or export
+
+// The type, content and text a code encodes: the text is built from structured
+// content when given, otherwise taken as sent and parsed into content. Without
+// a qrType, the type of a raw payload is detected. Edits pass the stored
+// content as previous, e.g. to keep the IDs of link page buttons
+const resolveContent = (qrType, { content, text }, previous = null) => {
+  if (content !== undefined && content !== null) {
+    return {
+      qrType: qrType || "url",
+      ...qrTypeFormatter.buildContent(qrType || "url", content, previous),
+    };
+  }
+  if (typeof text !== "string" || text === "") {
+    throw new ValidationError("Provide content or text");
+  }
+  if (qrTypeFormatter.isHostedType(qrType)) {
+    throw new ValidationError(`${qrType} codes are created from content`);
+  }
+  if (!qrType) {
+    return { ...detectContent(text), text };
+  }
+  if (!qrTypeFormatter.QR_TYPE_NAMES.includes(qrType)) {
+    throw new ValidationError(
+      `qrType must be one of: ${qrTypeFormatter.QR_TYPE_NAMES.join(", ")}`
+    );
+  }
+  // Raw text must read as the type, so pages and links built from the content
+  // match what the code encodes
+  const parsed = parseContent(qrType, text);
+  if (!parsed) {
+    throw new ValidationError(`text is not a valid ${qrType} payload`);
+  }
+  return { qrType, content: parsed, text };
+};
+
+// File codes may only point at files their owner uploaded; the file name,
+// type and size are taken from the upload
+const resolveFileContent = async (userId, resolved) => {
+  if (resolved.qrType !== "file") {
+    return resolved;
+  }
+  const file = await getStoredFile(resolved.content.fileId);
+  if (!file || file.userId !== String(userId)) {
+    throw new ValidationError("File not found; upload it with /upload-file");
+  }
+  return {
+    qrType: "file",
+    ...qrTypeFormatter.buildContent("file", {
+      ...resolved.content,
+      filename: file.filename,
+      mimeType: file.mimeType,
+      size: file.size,
+    }),
+  };
+};
+
+// Hosted pages (see utils/qrTypeFormatter.js) are only reachable through the
+// tracking URL, so their codes are always tracked
+const resolveTracking = (qrType, enableTracking, symbology) => {
+  if (!qrTypeFormatter.isHostedType(qrType)) {
+    return enableTracking && getSymbology(symbology).tracking;
+  }
+  if (!getSymbology(symbology).tracking) {
+    throw new ValidationError(
+      `${qrType} codes need a tracking URL, which ${symbology} cannot encode`
+    );
+  }
+  return true;
+};
+
+// Branded domain of a new code; only tracked codes have a URL to brand
+const resolveDomain = async (userId, trackingEnabled, domainId) => {
+  const domain = await resolveCodeDomain(userId, domainId);
+  if (domain && !trackingEnabled) {
+    throw new ValidationError("Only tracked codes can use a custom domain");
+  }
+  return domain;
+};
+
+// Short link codes of a new code: a generated one, and the vanity slug that
+// is encoded instead when given. Only tracked codes have them
+const resolveShortLink = async (trackingEnabled, slug) => {
+  const hasSlug = slug !== undefined && slug !== null && slug !== "";
+  if (!trackingEnabled) {
+    if (hasSlug) {
+      throw new ValidationError("Only tracked codes can have a slug");
+    }
+    return {};
+  }
+  const shortLink = { shortCode: await generateShortCode() };
+  if (hasSlug) {
+    shortLink.slug = await resolveSlug(slug);
+  }
+  return shortLink;
+};
+
+// Logos are kept in memory until they are normalized and written to uploads/logos
+const storage = multer.memoryStorage();
 
 const upload = multer({
   storage,
@@ -59,6 +200,11 @@ router.get("/", authMiddleware, async (req, res) => {
   }
 });
 
+// Describe the QR types and the input fields /format-content accepts for each
+router.get("/types", authMiddleware, (req, res) => {
+  res.json(qrTypeFormatter.getTypeSchemas());
+});
+
 // Get a specific QR code
 router.get("/:id", authMiddleware, async (req, res) => {
   try {
@@ -80,19 +226,95 @@ router.get("/:id", authMiddleware, async (req, res) => {
   }
 });
 
+// Render a QR code image on demand in the requested format and size
+router.get("/:id/image", authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+    const { format = "png", download } = req.query;
+
+    const qrCode = mongoose.isValidObjectId(id)
+      ? await QRCodeModel.findOne({ _id: id, userId })
+      : null;
+
+    if (!qrCode) {
+      return res
+        .status(404)
+        .json({ error: "QR code not found or unauthorized" });
+    }
+
+    const dimensions = resolveDimensions(req.query);
+    const content = qrCode.getEncodedContent();
+    const customization = qrCode.getRenderCustomization();
+
+    // The image only depends on what is encoded and how it is drawn
+    const etag = `"${crypto
+      .createHash("sha1")
+      .update(JSON.stringify([content, customization, format, dimensions]))
+      .digest("hex")}"`;
+    res.set("ETag", etag);
+    res.set("Cache-Control", "private, max-age=86400");
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const image = await renderQRCode(content, customization, {
+      format,
+      dimensions,
+    });
+
+    res.type(image.mimeType);
+    if (download) {
+      res.attachment(`qrcode-${qrCode._id}.${image.extension}`);
+    }
+    res.send(image.buffer);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error rendering QR code image:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Create a new QR code
 router.post("/", authMiddleware, async (req, res) => {
   try {
     const userId = req.user.userId;
     const {
-      text, // This is the original destination URL
-      qrType = "url",
-      customization = {},
       security = {}, // security object from request
       tags = [],
       enableTracking = true, // Default to true if not provided
+      symbology = "qr",
+      presetId, // Falls back to the user's default preset when omitted
     } = req.body;
 
+    // The destination URL or payload, from content (see /types) or raw text
+    const { qrType, text, content } = await resolveFileContent(
+      userId,
+      resolveContent(req.body.qrType, req.body)
+    );
+
+    // The preset supplies the design; the request's customization overrides it
+    const preset = await resolvePresetCustomization(userId, {
+      presetId,
+      customization: req.body.customization,
+    });
+    const { customization } = preset;
+
+    // Symbologies that cannot carry a URL (e.g. EAN-13) are never tracked
+    const trackingEnabled = resolveTracking(qrType, enableTracking, symbology);
+    const renderCustomization = { ...customization, symbology };
+    const shortLink = await resolveShortLink(trackingEnabled, req.body.slug);
+    // Added to the destination URL when tracked scans are redirected
+    const queryParams = normalizeQueryParams(req.body.queryParams);
+    const domain = await resolveDomain(
+      userId,
+      trackingEnabled,
+      req.body.domainId
+    );
+
     console.log(
       "Received request to create QR code. Security input:",
       JSON.stringify(security, null, 2)
@@ -141,32 +363,39 @@ router.post("/", authMiddleware, async (req, res) => {
     let qrTextForImage = text;
     let finalTrackingUrl = null;
     const temporaryId = new mongoose.Types.ObjectId();
-    if (enableTracking) {
-      // Use RENDER_EXTERNAL_URL when in production, fallback to the request's origin
-      const baseUrl =
-        process.env.NODE_ENV === "production"
-          ? "https://qr-generator-advanced.onrender.com"
-          : `${req.protocol}://${req.get("host")}`;
-      finalTrackingUrl = createTrackingUrl(baseUrl, temporaryId.toString());
+    if (trackingEnabled) {
+      // The code's branded domain, otherwise the app's own
+      finalTrackingUrl = createShortUrl(
+        getBaseUrl(req, domain),
+        shortLink.slug || shortLink.shortCode
+      );
       qrTextForImage = finalTrackingUrl;
     }
 
-    const finalQrImage = await generateQRCodeWithLogo(
-      qrTextForImage,
-      customization
-    );
+    // Rejects content that does not fit the requested version or error correction level
+    const capacity = getSymbolInfo(qrTextForImage, renderCustomization);
+    const warnings = await assertScannable(qrTextForImage, renderCustomization);
+    const renderKey = await ensureRenders(qrTextForImage, renderCustomization);
 
     const qrCode = new QRCodeModel({
       _id: temporaryId,
       userId,
       text,
-      qrImage: finalQrImage,
+      content,
+      renderKey,
       qrType,
+      symbology,
       security: processedSecurity,
       customization,
+      presetId: preset.presetId,
+      presetOverrides: preset.presetOverrides,
       tags,
-      trackingEnabled: enableTracking,
+      queryParams,
+      trackingEnabled,
       trackingUrl: finalTrackingUrl,
+      domainId: domain ? domain._id : null,
+      ...shortLink,
+      ...createInitialVersion({ qrType, text, content }, userId),
     });
 
     console.log(
@@ -181,8 +410,11 @@ router.post("/", authMiddleware, async (req, res) => {
       JSON.stringify(qrCode.toObject().security, null, 2)
     );
 
-    res.status(201).json(qrCode);
+    res.status(201).json({ ...qrCode.toJSON(), capacity, warnings });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
     console.error("Error creating QR code:", error.message);
     if (error.errors) {
       console.error(
@@ -208,53 +440,179 @@ router.post(
         return res.status(400).json({ error: "No logo file uploaded" });
       }
 
+      // Rasterize SVG logos and store every logo as a size-capped PNG
+      const { buffer, width, height } = await normalizeLogo(req.file.buffer);
+      const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+      const filename = `logo-${uniqueSuffix}.png`;
+      await fs.outputFile(
+        path.join(__dirname, "../uploads/logos", filename),
+        buffer
+      );
+
       // Return the path to the uploaded logo
-      const logoPath = `/uploads/logos/${req.file.filename}`;
-      res.json({ logoPath });
+      const logoPath = `/uploads/logos/${filename}`;
+      res.json({ logoPath, width, height });
     } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error("Error uploading logo:", error);
       res.status(500).json({ error: "Internal server error" });
     }
   }
 );
 
+// Documents behind file codes, checked against the limits of their type
+// once received (see utils/fileStorage.js)
+const documentUpload = multer({
+  storage,
+  limits: { fileSize: MAX_FILE_SIZE },
+});
+
+// Receive the "file" field of a multipart request, answering 400 for files
+// over the size limit
+const receiveDocument = (req, res, next) =>
+  documentUpload.single("file")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    next(error);
+  });
+
+// Upload a document for a file code; the returned fileId goes into the
+// content of the code
+router.post(
+  "/upload-file",
+  authMiddleware,
+  receiveDocument,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded" });
+      }
+
+      const { userId, uploadedAt, ...file } = await storeFile(
+        req.user.userId,
+        req.file
+      );
+      res.status(201).json(file);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          error: error.message,
+          allowedTypes: Object.keys(FILE_TYPES),
+        });
+      }
+      console.error("Error uploading file:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Replace the document behind a file code; the code keeps its tracking URL,
+// so printed codes open the new file. The old file stays with the previous
+// version for rollbacks
+router.post("/:id/file", authMiddleware, receiveDocument, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const qrCode = mongoose.isValidObjectId(req.params.id)
+      ? await QRCodeModel.findOne({ _id: req.params.id, userId })
+      : null;
+    if (!qrCode) {
+      return res
+        .status(404)
+        .json({ error: "QR code not found or unauthorized" });
+    }
+    if (qrCode.qrType !== "file") {
+      throw new ValidationError("Only file codes have a file to replace");
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: "No file uploaded" });
+    }
+
+    const previous = pickDestination(qrCode);
+    const file = await storeFile(userId, req.file);
+    qrCode.set(
+      await resolveFileContent(userId, {
+        qrType: "file",
+        content: { ...qrCode.content, fileId: file.fileId },
+      })
+    );
+    await qrCode.save();
+    await recordVersion(qrCode, previous, userId);
+
+    res.json(qrCode);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error replacing file:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Format content based on QR type
+// Parse a raw payload into its type and structured content; the type is
+// detected unless one is given
+router.post("/parse-content", authMiddleware, async (req, res) => {
+  try {
+    const { text, qrType } = req.body;
+    if (typeof text !== "string" || text.trim() === "") {
+      throw new ValidationError("text must be a non-empty string");
+    }
+
+    if (!qrType) {
+      return res.json(detectContent(text));
+    }
+    if (!qrTypeFormatter.QR_TYPE_NAMES.includes(qrType)) {
+      throw new ValidationError(
+        `qrType must be one of: ${qrTypeFormatter.QR_TYPE_NAMES.join(", ")}`
+      );
+    }
+    const content = parseContent(qrType, text);
+    if (!content) {
+      throw new ValidationError(`Content cannot be read as ${qrType}`);
+    }
+    res.json({ qrType, content });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    console.error("Error parsing content:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 router.post("/format-content", authMiddleware, async (req, res) => {
   try {
     const { qrType, data } = req.body;
 
-    let formattedContent = "";
-
-    switch (qrType) {
-      case "vcard":
-        formattedContent = qrTypeFormatter.formatVCard(data);
-        break;
-      case "wifi":
-        formattedContent = qrTypeFormatter.formatWifi(data);
-        break;
-      case "email":
-        formattedContent = qrTypeFormatter.formatEmail(data);
-        break;
-      case "sms":
-        formattedContent = qrTypeFormatter.formatSMS(data);
-        break;
-      case "geo":
-        formattedContent = qrTypeFormatter.formatGeo(data);
-        break;
-      case "event":
-        formattedContent = qrTypeFormatter.formatEvent(data);
-        break;
-      default:
-        formattedContent = data.text || "";
-    }
+    const formattedContent = qrTypeFormatter.formatContent(qrType, data);
 
     res.json({ formattedContent });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
     console.error("Error formatting content:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Check whether a vanity slug can be used, with the reason when it cannot
+router.post("/check-slug", authMiddleware, async (req, res) => {
+  try {
+    const slug = await resolveSlug(req.body.slug);
+    res.json({ slug, available: true });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.json({ available: false, reason: error.message });
+    }
+    console.error("Error checking slug:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Update a QR code
 router.put("/:id", authMiddleware, async (req, res) => {
   try {
@@ -262,14 +620,24 @@ router.put("/:id", authMiddleware, async (req, res) => {
     const userId = req.user.userId;
     const updateData = req.body;
 
-    // Prevent updating userId
+    // Prevent updating userId, the cached render, the destination history and
+    // the tracking URL the image encodes
     delete updateData.userId;
+    delete updateData.qrImage;
+    delete updateData.renderKey;
+    delete updateData.presetOverrides;
+    delete updateData.versions;
+    delete updateData.currentVersion;
+    delete updateData.scheduledDestinations;
+    delete updateData.redirectRules;
+    delete updateData.splitTest;
+    delete updateData.shortCode;
+    delete updateData.slug;
+    delete updateData.domainId;
+    delete updateData.trackingEnabled;
+    delete updateData.trackingUrl;
 
-    const qrCode = await QRCodeModel.findOneAndUpdate(
-      { _id: id, userId },
-      updateData,
-      { new: true }
-    );
+    const qrCode = await QRCodeModel.findOne({ _id: id, userId });
 
     if (!qrCode) {
       return res
@@ -277,26 +645,576 @@ router.put("/:id", authMiddleware, async (req, res) => {
         .json({ error: "QR code not found or unauthorized" });
     }
 
-    res.json(qrCode);
+    // Changing the preset, or the customization of a code based on a preset,
+    // stores the customization as overrides on top of the preset
+    if (
+      updateData.presetId !== undefined ||
+      (qrCode.presetId && updateData.customization)
+    ) {
+      const presetId =
+        updateData.presetId !== undefined
+          ? updateData.presetId
+          : qrCode.presetId;
+      const overrides =
+        updateData.customization ||
+        (qrCode.presetId
+          ? qrCode.presetOverrides
+          : qrCode.toObject().customization) ||
+        {};
+      Object.assign(
+        updateData,
+        await resolvePresetCustomization(
+          userId,
+          { presetId, customization: overrides },
+          { useDefault: false }
+        )
+      );
+    }
+
+    // A new type, content or raw text rebuilds the text and content together
+    if (
+      updateData.content !== undefined ||
+      updateData.text !== undefined ||
+      updateData.qrType !== undefined
+    ) {
+      Object.assign(
+        updateData,
+        await resolveFileContent(
+          userId,
+          resolveContent(
+            updateData.qrType || qrCode.qrType,
+            {
+              content:
+                updateData.content !== undefined
+                  ? updateData.content
+                  : updateData.text === undefined
+                  ? qrCode.content
+                  : null,
+              text: updateData.text ?? qrCode.text,
+            },
+            qrCode.content
+          )
+        )
+      );
+    }
+
+    if (updateData.queryParams !== undefined) {
+      updateData.queryParams = normalizeQueryParams(updateData.queryParams);
+    }
+
+    const previous = pickDestination(qrCode);
+    qrCode.set(updateData);
+    if (
+      qrTypeFormatter.isHostedType(qrCode.qrType) &&
+      !(qrCode.trackingEnabled && qrCode.trackingUrl)
+    ) {
+      throw new ValidationError(
+        `${qrCode.qrType} codes need tracking; create a new code instead`
+      );
+    }
+
+    // Re-render when the look or the encoded content of the code changed,
+    // rejecting the update before anything is saved if it would not scan
+    const content = qrCode.getEncodedContent();
+    const customization = qrCode.getRenderCustomization();
+    const capacity = getSymbolInfo(content, customization);
+    let warnings = [];
+    if (
+      updateData.customization ||
+      updateData.symbology !== undefined ||
+      (updateData.text !== undefined && !qrCode.trackingEnabled)
+    ) {
+      warnings = await assertScannable(content, customization);
+      qrCode.renderKey = await ensureRenders(content, customization);
+    }
+
+    await qrCode.save();
+    // Every destination change becomes a version that can be rolled back to
+    if (!isSameDestination(previous, qrCode)) {
+      await recordVersion(qrCode, previous, userId);
+    }
+
+    res.json({ ...qrCode.toJSON(), capacity, warnings });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
     console.error("Error updating QR code:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Set or remove the vanity slug of a tracked code; it resolves under /s like
+// the short link. A slug the code's image encodes cannot change, as printed
+// codes would stop working
+router.put("/:id/slug", authMiddleware, async (req, res) => {
+  try {
+    const { slug } = req.body;
+    const qrCode = mongoose.isValidObjectId(req.params.id)
+      ? await QRCodeModel.findOne({
+          _id: req.params.id,
+          userId: req.user.userId,
+        })
+      : null;
+    if (!qrCode) {
+      return res
+        .status(404)
+        .json({ error: "QR code not found or unauthorized" });
+    }
+    if (!qrCode.trackingEnabled || !qrCode.trackingUrl) {
+      throw new ValidationError("Only tracked codes can have a slug");
+    }
+    if (
+      qrCode.slug &&
+      qrCode.trackingUrl.endsWith(createShortUrl("", qrCode.slug))
+    ) {
+      throw new ValidationError(
+        "The slug is encoded in the code's image and cannot be changed"
+      );
+    }
+
+    qrCode.slug =
+      slug === undefined || slug === null || slug === ""
+        ? undefined
+        : await resolveSlug(slug, qrCode._id);
+    await qrCode.save();
+
+    res.json(qrCode);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    console.error("Error updating slug:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Destination history of a code, newest first
+router.get("/:id/versions", authMiddleware, async (req, res) => {
+  try {
+    const qrCode = mongoose.isValidObjectId(req.params.id)
+      ? await QRCodeModel.findOne({
+          _id: req.params.id,
+          userId: req.user.userId,
+        }).select("+versions")
+      : null;
+    if (!qrCode) {
+      return res
+        .status(404)
+        .json({ error: "QR code not found or unauthorized" });
+    }
+
+    res.json({
+      currentVersion: qrCode.currentVersion,
+      versions: [...qrCode.versions].reverse(),
+    });
+  } catch (error) {
+    console.error("Error getting QR code versions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Point a code back to the destination of an earlier version, recorded as a
+// new version
+router.post("/:id/rollback", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const qrCode = mongoose.isValidObjectId(req.params.id)
+      ? await QRCodeModel.findOne({ _id: req.params.id, userId }).select(
+          "+versions"
+        )
+      : null;
+    if (!qrCode) {
+      return res
+        .status(404)
+        .json({ error: "QR code not found or unauthorized" });
+    }
+
+    const version = qrCode.versions.find(
+      (entry) => entry.version === Number(req.body.version)
+    );
+    if (!version) {
+      throw new ValidationError("Version not found", {
+        versions: qrCode.versions.map((entry) => entry.version),
+      });
+    }
+    if (version.version === qrCode.currentVersion) {
+      throw new ValidationError("The code already uses this version");
+    }
+
+    const previous = pickDestination(qrCode);
+    qrCode.set(pickDestination(version));
+
+    // Untracked codes encode the destination itself and are rendered again
+    const content = qrCode.getEncodedContent();
+    const customization = qrCode.getRenderCustomization();
+    let warnings = [];
+    if (!qrCode.trackingEnabled) {
+      warnings = await assertScannable(content, customization);
+      qrCode.renderKey = await ensureRenders(content, customization);
+    }
+
+    await qrCode.save();
+    await recordVersion(qrCode, previous, userId, {
+      restoredFrom: version.version,
+    });
+
+    const { versions, ...result } = qrCode.toJSON();
+    res.json({ ...result, warnings });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    console.error("Error rolling back QR code:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Schedule a destination for a period, e.g. a sale page from one date to
+// another; scans from startsAt through endsAt get it instead of the current
+// destination. Times are ISO 8601 instants, or local times with a timezone; an
+// endsAt given to the minute includes that minute, and the stored endsAt is
+// the exclusive end after it
+router.post("/:id/schedules", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { startsAt, endsAt, timezone } = req.body;
+    const qrCode = mongoose.isValidObjectId(req.params.id)
+      ? await QRCodeModel.findOne({ _id: req.params.id, userId })
+      : null;
+    if (!qrCode) {
+      return res
+        .status(404)
+        .json({ error: "QR code not found or unauthorized" });
+    }
+    // The destination is picked when a scan reaches the tracking URL
+    if (!qrCode.trackingEnabled || !qrCode.trackingUrl) {
+      throw new ValidationError("Only tracked codes can schedule destinations");
+    }
+
+    pruneSchedules(qrCode);
+    const period = resolveSchedulePeriod(qrCode, {
+      startsAt,
+      endsAt,
+      timezone,
+    });
+    const destination = await resolveFileContent(
+      userId,
+      resolveContent(req.body.qrType || qrCode.qrType, req.body)
+    );
+    qrCode.scheduledDestinations.push({
+      ...destination,
+      ...period,
+      createdBy: String(userId),
+    });
+    await qrCode.save();
+
+    res.status(201).json(qrCode.scheduledDestinations);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    console.error("Error scheduling destination:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Cancel a scheduled destination
+router.delete(
+  "/:id/schedules/:scheduleId",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const qrCode = mongoose.isValidObjectId(req.params.id)
+        ? await QRCodeModel.findOne({
+            _id: req.params.id,
+            userId: req.user.userId,
+          })
+        : null;
+      const schedule = qrCode?.scheduledDestinations.id(req.params.scheduleId);
+      if (!schedule) {
+        return res
+          .status(404)
+          .json({ error: "Scheduled destination not found or unauthorized" });
+      }
+
+      schedule.deleteOne();
+      await qrCode.save();
+      await removeUnusedFiles([schedule.content?.fileId]);
+
+      res.json(qrCode.scheduledDestinations);
+    } catch (error) {
+      console.error("Error deleting scheduled destination:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Replace the ordered redirect rules of a code. Each rule has conditions (see
+// utils/redirectRules.js) and a destination given like the code's own
+router.put("/:id/rules", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { rules } = req.body;
+    const qrCode = mongoose.isValidObjectId(req.params.id)
+      ? await QRCodeModel.findOne({ _id: req.params.id, userId })
+      : null;
+    if (!qrCode) {
+      return res
+        .status(404)
+        .json({ error: "QR code not found or unauthorized" });
+    }
+    // Rules are applied when a scan reaches the tracking URL
+    if (!qrCode.trackingEnabled || !qrCode.trackingUrl) {
+      throw new ValidationError("Only tracked codes can have redirect rules");
+    }
+    if (!Array.isArray(rules)) {
+      throw new ValidationError("rules must be an array");
+    }
+    if (rules.length > MAX_RULES) {
+      throw new ValidationError(`At most ${MAX_RULES} rules are allowed`);
+    }
+
+    const previousFileIds = qrCode.redirectRules.map(
+      (rule) => rule.content?.fileId
+    );
+    const redirectRules = [];
+    for (const [index, rule] of rules.entries()) {
+      if (!rule || typeof rule !== "object") {
+        throw new ValidationError(`rules[${index}] must be an object`);
+      }
+      const conditions = normalizeConditions(
+        rule.conditions,
+        `rules[${index}].conditions`
+      );
+      let destination;
+      try {
+        destination = await resolveFileContent(
+          userId,
+          resolveContent(rule.qrType || qrCode.qrType, rule)
+        );
+      } catch (error) {
+        throw error instanceof ValidationError
+          ? new ValidationError(
+              `rules[${index}]: ${error.message}`,
+              error.details
+            )
+          : error;
+      }
+      redirectRules.push({
+        name: rule.name ? String(rule.name) : `Rule ${index + 1}`,
+        conditions,
+        ...destination,
+      });
+    }
+
+    qrCode.redirectRules = redirectRules;
+    await qrCode.save();
+    await removeUnusedFiles(previousFileIds);
+
+    res.json(qrCode.redirectRules);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    console.error("Error updating redirect rules:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Report which rule a sample request would match and where it would go. The
+// sample has userAgent, country, acceptLanguage and time (ISO 8601, now by
+// default)
+router.post("/:id/rules/test", authMiddleware, async (req, res) => {
+  try {
+    const { userAgent, country, acceptLanguage, time } = req.body;
+    const qrCode = mongoose.isValidObjectId(req.params.id)
+      ? await QRCodeModel.findOne({
+          _id: req.params.id,
+          userId: req.user.userId,
+        })
+      : null;
+    if (!qrCode) {
+      return res
+        .status(404)
+        .json({ error: "QR code not found or unauthorized" });
+    }
+    const date = time ? new Date(time) : new Date();
+    if (isNaN(date.getTime())) {
+      throw new ValidationError("time must be an ISO 8601 date and time");
+    }
+
+    const context = { userAgent, country, acceptLanguage, date };
+    const { rule, variant, destination } = resolveRedirect(qrCode, context);
+    res.json({ request: describeRequest(context), rule, variant, destination });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    console.error("Error testing redirect rules:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Start a split test, replacing any earlier one. Variants have a name, a
+// weight and a destination given like the code's own; autoPromoteAfter is the
+// number of scans after which the variant converting best becomes the
+// destination (0 to promote by hand)
+router.put("/:id/split-test", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { variants, autoPromoteAfter } = req.body;
+    const qrCode = mongoose.isValidObjectId(req.params.id)
+      ? await QRCodeModel.findOne({ _id: req.params.id, userId })
+      : null;
+    if (!qrCode) {
+      return res
+        .status(404)
+        .json({ error: "QR code not found or unauthorized" });
+    }
+    // Variants are picked when a scan reaches the tracking URL
+    if (!qrCode.trackingEnabled || !qrCode.trackingUrl) {
+      throw new ValidationError("Only tracked codes can have split tests");
+    }
+    validateVariants(variants);
+    const scansToPromote =
+      autoPromoteAfter === undefined || autoPromoteAfter === null
+        ? 0
+        : Number(autoPromoteAfter);
+    if (!Number.isInteger(scansToPromote) || scansToPromote < 0) {
+      throw new ValidationError(
+        "autoPromoteAfter must be a whole number of scans"
+      );
+    }
+
+    const previousFileIds = (qrCode.splitTest?.variants || []).map(
+      (variant) => variant.content?.fileId
+    );
+    const splitVariants = [];
+    for (const [index, variant] of variants.entries()) {
+      let destination;
+      try {
+        destination = await resolveFileContent(
+          userId,
+          resolveContent(variant.qrType || qrCode.qrType, variant)
+        );
+      } catch (error) {
+        throw error instanceof ValidationError
+          ? new ValidationError(
+              `variants[${index}]: ${error.message}`,
+              error.details
+            )
+          : error;
+      }
+      splitVariants.push({
+        name: variant.name ? String(variant.name) : `Variant ${index + 1}`,
+        weight: Number(variant.weight),
+        ...destination,
+      });
+    }
+
+    qrCode.splitTest = {
+      variants: splitVariants,
+      autoPromoteAfter: scansToPromote,
+      startedAt: new Date(),
+    };
+    await qrCode.save();
+    await removeUnusedFiles(previousFileIds);
+
+    res.json(getSplitTestReport(qrCode.splitTest));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    console.error("Error starting split test:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Make a variant the destination of the code, ending its split test
+router.post("/:id/split-test/promote", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { variantId } = req.body;
+    const qrCode = mongoose.isValidObjectId(req.params.id)
+      ? await QRCodeModel.findOne({ _id: req.params.id, userId })
+      : null;
+    if (!qrCode) {
+      return res
+        .status(404)
+        .json({ error: "QR code not found or unauthorized" });
+    }
+    if (!qrCode.splitTest) {
+      throw new ValidationError("The code has no split test");
+    }
+    if (qrCode.splitTest.promotedVariantId) {
+      return res
+        .status(409)
+        .json({ error: "A variant of this split test was already promoted" });
+    }
+
+    const promoted = await promoteVariant(qrCode, variantId, userId);
+    if (!promoted) {
+      return res
+        .status(409)
+        .json({ error: "A variant of this split test was already promoted" });
+    }
+    res.json(promoted);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    console.error("Error promoting split test variant:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// End the split test of a code; its results are dropped
+router.delete("/:id/split-test", authMiddleware, async (req, res) => {
+  try {
+    const qrCode = mongoose.isValidObjectId(req.params.id)
+      ? await QRCodeModel.findOne({
+          _id: req.params.id,
+          userId: req.user.userId,
+        })
+      : null;
+    if (!qrCode?.splitTest) {
+      return res
+        .status(404)
+        .json({ error: "Split test not found or unauthorized" });
+    }
+
+    const fileIds = qrCode.splitTest.variants.map(
+      (variant) => variant.content?.fileId
+    );
+    qrCode.splitTest = null;
+    await qrCode.save();
+    await removeUnusedFiles(fileIds);
+
+    res.json({ message: "Split test ended" });
+  } catch (error) {
+    console.error("Error ending split test:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Delete a QR code
 router.delete("/:id", authMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.userId;
 
-    const qrCode = await QRCodeModel.findOneAndDelete({ _id: id, userId });
+    const qrCode = await QRCodeModel.findOneAndDelete({
+      _id: id,
+      userId,
+    }).select("+versions");
 
     if (!qrCode) {
       return res
         .status(404)
         .json({ error: "QR code not found or unauthorized" });
     }
+    await removeUnusedFiles(getReferencedFileIds(qrCode));
 
     res.json({ message: "QR code deleted successfully" });
   } catch (error) {
@@ -317,11 +1235,21 @@ router.post("/delete-bulk", authMiddleware, async (req, res) => {
         .json({ error: "No QR codes specified for deletion" });
     }
 
-    // Find and delete QR codes that belong to the user
+    // Find and delete QR codes that belong to the user, then the files only
+    // they referred to
+    const fileIds = (
+      await QRCodeModel.find({
+        _id: { $in: qrCodeIds },
+        userId: userId,
+      }).select(
+        "content versions scheduledDestinations redirectRules splitTest"
+      )
+    ).flatMap(getReferencedFileIds);
     const result = await QRCodeModel.deleteMany({
       _id: { $in: qrCodeIds },
       userId: userId,
     });
+    await removeUnusedFiles(fileIds);
 
     console.log("Bulk delete result:", result);
 
@@ -335,170 +1263,257 @@ router.post("/delete-bulk", authMiddleware, async (req, res) => {
   }
 });
 
-// Helper function to calculate optimal QR version
-function calculateOptimalVersion(contentLength, hasLogo) {
-  let version = 2;
-  while (version <= 40) {
-    const effectiveLength = hasLogo
-      ? Math.ceil(contentLength * 1.3)
-      : contentLength;
-    if (version * version * 4 >= effectiveLength) {
-      return version;
+// Codes picked by ID (in the given order), or by tag and/or filter (oldest first)
+const findSelectedQRCodes = async (userId, { qrCodeIds, tag, filter }) => {
+  if (Array.isArray(qrCodeIds) && qrCodeIds.length > 0) {
+    if (qrCodeIds.length > MAX_SELECTION_SIZE) {
+      throw new ValidationError(
+        `At most ${MAX_SELECTION_SIZE} QR codes can be selected at once`
+      );
     }
-    version++;
+    if (!qrCodeIds.every((id) => mongoose.isValidObjectId(id))) {
+      throw new ValidationError("Invalid QR code ID");
+    }
+    const found = await QRCodeModel.find({ _id: { $in: qrCodeIds }, userId });
+    const byId = new Map(
+      found.map((qrCode) => [qrCode._id.toString(), qrCode])
+    );
+    return qrCodeIds.map((id) => byId.get(String(id))).filter(Boolean);
+  }
+
+  const hasTag = typeof tag === "string" && tag.trim() !== "";
+  const hasFilter = filter && typeof filter === "object";
+  if (!hasTag && !hasFilter) {
+    throw new ValidationError("Provide qrCodeIds, a tag or a filter");
   }
-  return 40;
-}
 
-// Helper function to generate QR code with logo
-async function generateQRCodeWithLogo(qrText, customization) {
+  const query = { userId };
+  if (hasTag) {
+    query.tags = tag.trim();
+  }
+  if (hasFilter) {
+    if (filter.qrType) {
+      query.qrType = String(filter.qrType);
+    }
+    if (filter.text) {
+      const escaped = String(filter.text).replace(
+        /[.*+?^${}()|[\]\\]/g,
+        "\\$&"
+      );
+      query.text = { $regex: escaped, $options: "i" };
+    }
+    if (filter.createdAfter || filter.createdBefore) {
+      query.createdAt = {};
+      if (filter.createdAfter) {
+        query.createdAt.$gte = new Date(filter.createdAfter);
+      }
+      if (filter.createdBefore) {
+        query.createdAt.$lte = new Date(filter.createdBefore);
+      }
+      if (Object.values(query.createdAt).some((date) => isNaN(date))) {
+        throw new ValidationError(
+          "createdAfter and createdBefore must be dates"
+        );
+      }
+    }
+  }
+
+  const qrCodes = await QRCodeModel.find(query)
+    .sort({ createdAt: 1 })
+    .limit(MAX_SELECTION_SIZE + 1);
+  if (qrCodes.length > MAX_SELECTION_SIZE) {
+    throw new ValidationError(
+      `At most ${MAX_SELECTION_SIZE} QR codes can be selected at once`
+    );
+  }
+  return qrCodes;
+};
+
+// Print selected QR codes onto a sheet of labels as a multi-page PDF
+router.post("/print-sheet", authMiddleware, async (req, res) => {
   try {
-    // console.log(`[generateQRCodeWithLogo] Called with qrText: '${qrText}', customization:`, JSON.stringify(customization)); // Optional: Log inputs
-
-    const qrCodeBuffer = await QRCode.toBuffer(qrText, {
-      errorCorrectionLevel: "H",
-      margin: customization?.margin || 4,
-      color: {
-        dark: customization?.color || "#000000",
-        light: customization?.backgroundColor || "#FFFFFF",
-      },
-      width: 1024, // Increased width for better logo clarity
-    });
+    const userId = req.user.userId;
+    const { layout, caption = "none" } = req.body;
 
-    const qrImage = await Jimp.read(qrCodeBuffer);
+    if (!CAPTIONS.includes(caption)) {
+      return res
+        .status(400)
+        .json({ error: `caption must be one of: ${CAPTIONS.join(", ")}` });
+    }
 
-    if (
-      customization?.logo &&
-      typeof customization.logo === "string" &&
-      customization.logo.trim() !== ""
-    ) {
-      let logoImage;
-      if (
-        customization.logo.startsWith("data:image") &&
-        customization.logo.includes(";base64,")
-      ) {
-        // Handle base64 encoded logo
-        // console.log("[generateQRCodeWithLogo] Processing base64 logo.");
-        const base64Data = customization.logo.split(";base64,").pop();
-        const logoBuffer = Buffer.from(base64Data, "base64");
-        logoImage = await Jimp.read(logoBuffer);
-      } else {
-        // Handle logo as a file path (existing logic, as a fallback)
-        // console.log("[generateQRCodeWithLogo] Processing logo as file path.");
-        const logoFilename = path.basename(customization.logo);
-        const logoDir = path.resolve(__dirname, "..", "uploads", "logos");
-        const logoPath = path.join(logoDir, logoFilename);
-
-        // console.log(`[generateQRCodeWithLogo] Attempting to read logo from: ${logoPath}`);
-
-        if (!fs.existsSync(logoPath)) {
-          console.error(
-            `[generateQRCodeWithLogo] Logo file not found at: ${logoPath}. Original logo value: ${customization.logo}`
-          );
-          throw new Error(`Logo file not found. Attempted path: ${logoPath}`);
-        }
-        logoImage = await Jimp.read(logoPath);
-      }
+    const qrCodes = await findSelectedQRCodes(userId, req.body);
+    if (qrCodes.length === 0) {
+      return res.status(404).json({ error: "No QR codes found to print" });
+    }
 
-      const logoSize = qrImage.getWidth() * 0.25; // Logo size 25% of QR width
-      logoImage.resize(logoSize, Jimp.AUTO); // Resize maintaining aspect ratio
+    const sheetLayout = resolveLayout(layout);
+    const labels = [];
+    for (const qrCode of qrCodes) {
+      labels.push({
+        scene: await buildScene(
+          qrCode.getEncodedContent(),
+          qrCode.getRenderCustomization()
+        ),
+        caption:
+          caption === "text"
+            ? qrCode.text
+            : caption === "tags"
+            ? (qrCode.tags || []).join(", ")
+            : null,
+      });
+    }
+
+    const pdf = await renderLabelSheet(labels, sheetLayout);
+
+    res.type("application/pdf");
+    res.attachment("qrcode-labels.pdf");
+    res.send(pdf);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error printing QR code labels:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-      const xPos = (qrImage.getWidth() - logoImage.getWidth()) / 2;
-      const yPos = (qrImage.getHeight() - logoImage.getHeight()) / 2;
+// Download rendered images of selected QR codes as a ZIP with a CSV manifest
+router.post("/export", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { format = "png", filenameTemplate } = req.body;
 
-      qrImage.composite(logoImage, xPos, yPos, {
-        mode: Jimp.BLEND_SOURCE_OVER,
-        opacitySource: 1,
-        opacityDest: 1,
+    const imageFormat = String(format).toLowerCase();
+    if (!FORMATS[imageFormat]) {
+      return res.status(400).json({
+        error: `format must be one of: ${Object.keys(FORMATS).join(", ")}`,
       });
-    } else if (customization?.logo) {
-      // console.log(`[generateQRCodeWithLogo] Invalid or empty logo path/data provided: ${customization.logo}`);
     }
+    const dimensions = resolveDimensions(req.body);
+    const template = validateFilenameTemplate(filenameTemplate);
 
-    const mimeType = Jimp.MIME_PNG;
-    const base64 = await qrImage.getBase64Async(mimeType);
-    return base64;
+    const qrCodes = await findSelectedQRCodes(userId, req.body);
+    if (qrCodes.length === 0) {
+      return res.status(404).json({ error: "No QR codes found to export" });
+    }
+
+    res.type("application/zip");
+    res.attachment("qrcodes.zip");
+    await writeExportArchive(res, qrCodes, {
+      format: imageFormat,
+      dimensions,
+      filenameTemplate: template,
+    });
   } catch (error) {
-    console.error(
-      "[generateQRCodeWithLogo] Error during processing. QR Text:",
-      qrText,
-      "Customization:",
-      JSON.stringify(customization, null, 2), // Added null, 2 for pretty print
-      "Error Message:",
-      error.message,
-      "Error Stack:",
-      error.stack
-    );
-    throw new Error(
-      `Failed during QR code generation with logo: ${error.message}`
-    );
+    if (res.headersSent) {
+      // The archive is already streaming, so the download can only be cut off
+      console.error("Error streaming QR code export:", error);
+      return res.destroy(error);
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error exporting QR codes:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
-}
+});
 
 // Bulk operations - create multiple QR codes
 router.post("/bulk", authMiddleware, async (req, res) => {
   try {
     const userId = req.user.userId;
     // Destructure enableTracking from req.body, defaulting to true
-    const { qrCodes, enableTracking = true } = req.body;
+    const { qrCodes, enableTracking = true, presetId, domainId } = req.body;
 
     if (!Array.isArray(qrCodes) || qrCodes.length === 0) {
       return res.status(400).json({ error: "No QR codes provided" });
     }
-    const processedQRCodes = await Promise.all(
-      qrCodes.map(async (qr) => {
-        try {
-          const temporaryId = new mongoose.Types.ObjectId();
-          let qrTextForImage = qr.text; // Default to original text for QR image
-          let finalTrackingUrl = null;
-          if (enableTracking) {
-            // Use RENDER_EXTERNAL_URL when in production, fallback to the request's origin
-            const baseUrl =
-              process.env.NODE_ENV === "production"
-                ? "https://qr-generator-advanced.onrender.com"
-                : `${req.protocol}://${req.get("host")}`;
-            finalTrackingUrl = createTrackingUrl(
-              baseUrl,
-              temporaryId.toString()
-            );
-            qrTextForImage = finalTrackingUrl; // If tracking is on, QR image uses the tracking URL
-          }
-
-          const finalQrImage = await generateQRCodeWithLogo(
-            qrTextForImage,
-            qr.customization
+    // One item at a time, like preset re-renders, so a large batch cannot
+    // start all of its renders and lookups at once
+    const successfulQRCodes = [];
+    for (const qr of qrCodes) {
+      try {
+        const temporaryId = new mongoose.Types.ObjectId();
+        const { qrType, text, content } = await resolveFileContent(
+          userId,
+          resolveContent(qr.qrType, qr)
+        );
+        const symbology = qr.symbology || "qr";
+        const trackingEnabled = resolveTracking(
+          qrType,
+          enableTracking,
+          symbology
+        );
+        // A preset on the item wins over the one given for the whole batch
+        const preset = await resolvePresetCustomization(userId, {
+          presetId: qr.presetId !== undefined ? qr.presetId : presetId,
+          customization: qr.customization,
+        });
+        const renderCustomization = {
+          ...preset.customization,
+          symbology,
+        };
+        const shortLink = await resolveShortLink(trackingEnabled, qr.slug);
+        const queryParams = normalizeQueryParams(qr.queryParams);
+        // A domain on the item wins over the one given for the whole batch
+        const domain = await resolveDomain(
+          userId,
+          trackingEnabled,
+          qr.domainId !== undefined ? qr.domainId : domainId
+        );
+        let qrTextForImage = text; // Default to original text for QR image
+        let finalTrackingUrl = null;
+        if (trackingEnabled) {
+          // The code's branded domain, otherwise the app's own
+          finalTrackingUrl = createShortUrl(
+            getBaseUrl(req, domain),
+            shortLink.slug || shortLink.shortCode
           );
-
-          const qrCode = new QRCodeModel({
-            _id: temporaryId,
-            userId,
-            text: qr.text, // Original text
-            qrImage: finalQrImage,
-            qrType: qr.qrType || "url",
-            security: {
-              password: qr.security?.isPasswordProtected
-                ? qr.security.password
-                : "",
-              isPasswordProtected: Boolean(qr.security?.isPasswordProtected),
-              expiresAt: qr.security?.expiresAt || null,
-              maxScans: parseInt(qr.security?.maxScans) || 0,
-            },
-            customization: qr.customization,
-            tags: qr.tags || [],
-            trackingEnabled: enableTracking, // Store tracking status
-            trackingUrl: finalTrackingUrl, // Store the tracking URL if enabled
-          });
-
-          await qrCode.save();
-          return qrCode;
-        } catch (error) {
-          console.error("Error processing QR code in bulk:", error);
-          return null; // Return null for failed ones to filter out later
+          qrTextForImage = finalTrackingUrl; // If tracking is on, QR image uses the tracking URL
         }
-      })
-    );
 
-    const successfulQRCodes = processedQRCodes.filter((qr) => qr !== null);
+        // Codes that would not scan are dropped like any other failure
+        await assertScannable(qrTextForImage, renderCustomization);
+        const renderKey = await ensureRenders(
+          qrTextForImage,
+          renderCustomization
+        );
+
+        const qrCode = new QRCodeModel({
+          _id: temporaryId,
+          userId,
+          text, // Original text
+          content,
+          renderKey,
+          qrType,
+          symbology,
+          security: {
+            password: qr.security?.isPasswordProtected
+              ? qr.security.password
+              : "",
+            isPasswordProtected: Boolean(qr.security?.isPasswordProtected),
+            expiresAt: qr.security?.expiresAt || null,
+            maxScans: parseInt(qr.security?.maxScans) || 0,
+          },
+          customization: preset.customization,
+          presetId: preset.presetId,
+          presetOverrides: preset.presetOverrides,
+          tags: qr.tags || [],
+          queryParams,
+          trackingEnabled, // Store tracking status
+          trackingUrl: finalTrackingUrl, // Store the tracking URL if enabled
+          domainId: domain ? domain._id : null,
+          ...shortLink,
+          ...createInitialVersion({ qrType, text, content }, userId),
+        });
+
+        await qrCode.save();
+        successfulQRCodes.push(qrCode);
+      } catch (error) {
+        // Failed items are left out of the response
+        console.error("Error processing QR code in bulk:", error);
+      }
+    }
 
     res.status(201).json(successfulQRCodes);
   } catch (error) {
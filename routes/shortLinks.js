@@ -0,0 +1,47 @@
+/**
+ * Short links (/s/<code>) of tracked codes. They are handed to the tracking
+ * routes as /track/<id>/<code>, so scans go through the same security checks,
+ * redirects and analytics, and landing page links keep working
+ */
+
+const express = require("express");
+const router = express.Router();
+const trackRoutes = require("./track");
+const { findByShortLink } = require("../utils/shortLinks");
+
+router.use("/:code", async (req, res, next) => {
+  try {
+    const code = req.params.code.toLowerCase();
+    const qrCode = await findByShortLink(code);
+    if (!qrCode) {
+      return res.status(404).send(`
+        <html>
+          <head><title>QR Code Not Found</title></head>
+          <body style="text-align:center;font-family:Arial;padding:20px;">
+            <h2>⚠️ QR Code Not Found</h2>
+            <p>This QR code does not exist or has been deleted.</p>
+          </body>
+        </html>
+      `);
+    }
+
+    // The rest of the path, like /page of a landing page, and the query stay
+    req.url = `/${qrCode._id}/${encodeURIComponent(code)}${req.url.replace(
+      /^\/(?=\?|$)/,
+      ""
+    )}`;
+    trackRoutes(req, res, next);
+  } catch (error) {
+    console.error("Error resolving short link:", error);
+    res.status(500).send(`
+      <html>
+        <body style="text-align:center;font-family:Arial;padding:20px;">
+          <h2>⚠️ Error</h2>
+          <p>An error occurred while processing this QR code. Please try again later.</p>
+        </body>
+      </html>
+    `);
+  }
+});
+
+module.exports = router;
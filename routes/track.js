@@ -1,9 +1,262 @@
 const express = require("express");
 const router = express.Router();
 const path = require("path");
+const mongoose = require("mongoose");
 const QRCode = require("../models/QRCode");
 const geoip = require("geoip-lite");
-const { recordScan, isQrCodeExpired } = require("../utils/analytics");
+const {
+  recordScan,
+  recordLinkClick,
+  isQrCodeExpired,
+} = require("../utils/analytics");
+const {
+  verifyAccessToken,
+  hasLandingPage,
+  getDownload,
+  findLink,
+  renderLandingPage,
+} = require("../utils/landingPages");
+const { getStoredFile } = require("../utils/fileStorage");
+const { belongsToHost } = require("../utils/customDomains");
+const { buildRedirectUrl } = require("../utils/queryParams");
+const {
+  getRequestContext,
+  resolveRedirect,
+} = require("../utils/redirectRules");
+const {
+  VARIANT_TOKEN_PARAM,
+  readVariantToken,
+  getStickyVariant,
+  rememberVariant,
+  recordConversion,
+  promoteIfDue,
+} = require("../utils/splitTests");
+
+const messagePage = (title, message) => `
+  <html>
+    <head><title>${title}</title></head>
+    <body style="text-align:center;font-family:Arial;padding:20px;">
+      <h2>⚠️ ${title}</h2>
+      <p>${message}</p>
+    </body>
+  </html>
+`;
+
+// Landing pages and their downloads are reachable without a new scan, so the
+// code must still be valid and password protected codes need the access token
+// handed out by the password check. Returns the code and the destination the
+// scan was sent to: redirect rules match the same request again, and split
+// tests give the variant remembered for the scanner instead of a new pick
+const findLandingPageCode = async (req, res) => {
+  const { qrCodeId } = req.params;
+  const found = mongoose.isValidObjectId(qrCodeId)
+    ? await QRCode.findById(qrCodeId)
+    : null;
+  const qrCode = found && belongsToHost(found, req) ? found : null;
+  const destination =
+    qrCode &&
+    resolveRedirect(
+      qrCode,
+      getRequestContext(req, { qrCodeId: String(qrCode._id) }),
+      { reuseVariant: true }
+    ).destination;
+  if (!qrCode || !hasLandingPage(destination)) {
+    res
+      .status(404)
+      .send(
+        messagePage(
+          "QR Code Not Found",
+          "This QR code does not exist or has been deleted."
+        )
+      );
+    return null;
+  }
+  if (qrCode.security.expiresAt && new Date() > qrCode.security.expiresAt) {
+    res
+      .status(410)
+      .send(
+        messagePage(
+          "QR Code Expired",
+          "This QR code has expired and is no longer valid."
+        )
+      );
+    return null;
+  }
+  if (
+    qrCode.security.isPasswordProtected &&
+    !verifyAccessToken(req.query.token, qrCode._id)
+  ) {
+    res
+      .status(403)
+      .send(
+        messagePage(
+          "Access Denied",
+          "Scan the QR code again and enter its password."
+        )
+      );
+    return null;
+  }
+  return { qrCode, destination };
+};
+
+// Show the document behind a file code in the browser; range requests let
+// viewers stream large files
+const sendStoredFile = async (res, destination) => {
+  const file = await getStoredFile(destination.content?.fileId);
+  if (!file) {
+    return res
+      .status(404)
+      .send(
+        messagePage(
+          "File Not Found",
+          "The file behind this QR code has been removed."
+        )
+      );
+  }
+  const asciiName = file.filename.replace(/[^\x20-\x7e]/g, "_");
+  const encodedName = encodeURIComponent(file.filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  res.set({
+    "Content-Type": file.mimeType,
+    "Content-Disposition": `inline; filename="${asciiName}"; filename*=UTF-8''${encodedName}`,
+    "X-Content-Type-Options": "nosniff",
+    "Cache-Control": "private, no-cache",
+  });
+  res.sendFile(file.path);
+};
+
+// Landing page of a code whose scan was already recorded; for file codes the
+// document itself
+router.get("/:qrCodeId/:trackingId/page", async (req, res) => {
+  try {
+    const found = await findLandingPageCode(req, res);
+    if (!found) {
+      return;
+    }
+    const { destination } = found;
+    if (destination.qrType === "file") {
+      return sendStoredFile(res, destination);
+    }
+    const { qrCodeId, trackingId } = req.params;
+    res.send(
+      renderLandingPage(destination, {
+        basePath: `/track/${qrCodeId}/${trackingId}`,
+        token: req.query.token,
+      })
+    );
+  } catch (error) {
+    console.error("Error rendering landing page:", error);
+    res
+      .status(500)
+      .send(
+        messagePage(
+          "Error",
+          "An error occurred while processing this QR code. Please try again later."
+        )
+      );
+  }
+});
+
+// Contact card or calendar file offered by a landing page
+router.get("/:qrCodeId/:trackingId/download", async (req, res) => {
+  try {
+    const found = await findLandingPageCode(req, res);
+    if (!found) {
+      return;
+    }
+    const download = getDownload(found.destination);
+    if (!download) {
+      return res
+        .status(404)
+        .send(
+          messagePage(
+            "Nothing to Download",
+            "This QR code has no file to download."
+          )
+        );
+    }
+    res.set("Content-Type", download.contentType);
+    res.attachment(download.filename);
+    res.send(download.body);
+  } catch (error) {
+    console.error("Error sending landing page download:", error);
+    res
+      .status(500)
+      .send(
+        messagePage(
+          "Error",
+          "An error occurred while processing this QR code. Please try again later."
+        )
+      );
+  }
+});
+
+// Button of a link page: count the click and continue to the link
+router.get("/:qrCodeId/:trackingId/link/:linkId", async (req, res) => {
+  try {
+    const found = await findLandingPageCode(req, res);
+    if (!found) {
+      return;
+    }
+    const { qrCode, destination } = found;
+    const link = findLink(destination, req.params.linkId);
+    if (!link) {
+      return res
+        .status(404)
+        .send(
+          messagePage(
+            "Link Not Found",
+            "This link has been removed from the page."
+          )
+        );
+    }
+    // Continue to the link even if the click could not be recorded
+    await recordLinkClick(qrCode._id, link);
+    res.redirect(link.url);
+  } catch (error) {
+    console.error("Error following link:", error);
+    res
+      .status(500)
+      .send(
+        messagePage(
+          "Error",
+          "An error occurred while processing this QR code. Please try again later."
+        )
+      );
+  }
+});
+
+// Conversion of a split test, reported by the destination (for example as
+// an image or fetch from a thank-you page). The scan is identified by the
+// token the destination got in its URL, sent back as the qr_variant query
+// parameter, or else by the scanner's cookie; each scan converts once.
+// Promotion is left to the scans, so conversion reports alone never change
+// the destination
+const handleConversion = async (req, res) => {
+  try {
+    const { qrCodeId } = req.params;
+    const token = req.query[VARIANT_TOKEN_PARAM];
+    const scan = token
+      ? readVariantToken(qrCodeId, token)
+      : getStickyVariant(req, qrCodeId);
+    if (
+      mongoose.isValidObjectId(qrCodeId) &&
+      mongoose.isValidObjectId(scan.variantId) &&
+      mongoose.isValidObjectId(scan.scanId)
+    ) {
+      await recordConversion(qrCodeId, scan);
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error recording conversion:", error);
+    res.status(500).end();
+  }
+};
+
+router.get("/:qrCodeId/:trackingId/convert", handleConversion);
+router.post("/:qrCodeId/:trackingId/convert", handleConversion);
 
 // Handle QR code scans
 router.get("/:qrCodeId/:trackingId", async (req, res) => {
@@ -21,8 +274,8 @@ router.get("/:qrCodeId/:trackingId", async (req, res) => {
     const qrCode = await QRCode.findById(qrCodeId);
     console.log("Found QR Code:", qrCode ? "Yes" : "No");
 
-    // Check if QR code exists
-    if (!qrCode) {
+    // Check if QR code exists; a branded domain only serves its own codes
+    if (!qrCode || !belongsToHost(qrCode, req)) {
       console.log("QR Code not found");
       return res.send(`
         <html>
@@ -124,10 +377,8 @@ router.get("/:qrCodeId/:trackingId", async (req, res) => {
                 
                 try {
                   const formData = new FormData(e.target);
-                  // Use absolute URL for API endpoint                  const baseUrl = window.location.origin.includes('localhost') 
-                    ? 'http://localhost:5000' 
-                    : 'https://qr-generator-advanced.onrender.com';
-                  const response = await fetch(baseUrl + '/api/analytics/verify-password/' + '${qrCode._id}', {
+                  // Same origin, so the check also works on branded domains
+                  const response = await fetch('/api/analytics/verify-password/' + '${qrCode._id}', {
                     method: 'POST',
                     headers: {
                       'Content-Type': 'application/json',
@@ -201,6 +452,26 @@ router.get("/:qrCodeId/:trackingId", async (req, res) => {
 
     console.log("Location data:", locationData);
 
+    // Redirect rules, scheduled destinations and split tests apply from the
+    // moment of the scan
+    const { variant, destination } = resolveRedirect(
+      qrCode,
+      getRequestContext(req, { qrCodeId, country: locationData.country })
+    );
+
+    // Viewers fetch the rest of a document with range requests, which belong
+    // to a download that was already counted
+    if (
+      destination.qrType === "file" &&
+      req.headers.range &&
+      !/^bytes=0-/.test(req.headers.range)
+    ) {
+      return sendStoredFile(res, destination);
+    }
+    const scan = variant
+      ? rememberVariant(req, res, qrCodeId, variant.id)
+      : null;
+
     // If not password protected, record scan and redirect
     console.log("Recording scan for non-password protected QR code");
 
@@ -212,11 +483,16 @@ router.get("/:qrCodeId/:trackingId", async (req, res) => {
         trackingId,
         country: locationData.country,
         city: locationData.city,
+        variantId: variant ? variant.id : null,
+        scanId: scan ? scan.scanId : null,
       };
 
       console.log("Scan data:", scanData);
 
       const updatedQrCode = await recordScan(qrCodeId, scanData);
+      if (variant) {
+        await promoteIfDue(qrCodeId);
+      }
 
       if (!updatedQrCode) {
         console.log("Failed to record scan - recordScan returned null");
@@ -232,9 +508,31 @@ router.get("/:qrCodeId/:trackingId", async (req, res) => {
       // Continue with redirect even if scan recording fails
     }
 
-    // Redirect to destination URL
-    console.log("Redirecting to:", qrCode.text);
-    res.redirect(qrCode.text);
+    // Every download of a file code counts as a scan
+    if (destination.qrType === "file") {
+      return sendStoredFile(res, destination);
+    }
+
+    // Contacts, events, Wi-Fi networks and other non-URL content get a
+    // landing page instead of a redirect
+    if (hasLandingPage(destination)) {
+      return res.send(
+        renderLandingPage(destination, {
+          basePath: `/track/${qrCodeId}/${trackingId}`,
+        })
+      );
+    }
+
+    // Redirect to destination URL, with the query parameters of the code
+    const redirectUrl = await buildRedirectUrl(qrCode, destination.text, {
+      trackingId,
+      country: locationData.country,
+      userAgent: req.headers["user-agent"],
+      variantId: variant ? variant.id : null,
+      variantToken: scan ? scan.token : null,
+    });
+    console.log("Redirecting to:", redirectUrl);
+    res.redirect(redirectUrl);
   } catch (error) {
     console.error("Error handling QR scan:", error);
     res.status(500).send(`
@@ -0,0 +1,46 @@
+/**
+ * One-off migration: move inline base64 QR images out of MongoDB into the render cache
+ *
+ * Usage: npm run migrate:images
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const QRCode = require("../models/QRCode");
+const { storeImage } = require("../utils/renderCache");
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("Connected to MongoDB");
+
+  let migrated = 0;
+  let failed = 0;
+
+  // The stored image is kept as-is: older documents did not persist their
+  // tracking URL, so they cannot be re-rendered identically
+  const cursor = QRCode.find({ qrImage: { $exists: true, $ne: "" } })
+    .select("+qrImage")
+    .cursor();
+
+  for await (const qrCode of cursor) {
+    try {
+      const renderKey = await storeImage(qrCode.qrImage);
+      await QRCode.updateOne(
+        { _id: qrCode._id },
+        { $set: { renderKey }, $unset: { qrImage: "" } }
+      );
+      migrated++;
+    } catch (error) {
+      console.error(`Failed to migrate QR code ${qrCode._id}:`, error.message);
+      failed++;
+    }
+  }
+
+  console.log(`Migrated ${migrated} QR code images (${failed} failed)`);
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error("Migration error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+/**
+ * One-off migration: parse the text of codes created before structured content
+ * was stored back into their content
+ *
+ * Usage: npm run migrate:content
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const QRCode = require("../models/QRCode");
+const { parseContent } = require("../utils/qrTypeParser");
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log("Connected to MongoDB");
+
+  let migrated = 0;
+  let skipped = 0;
+
+  // The text is left untouched so existing images keep matching it; codes
+  // whose text cannot be read as their type keep null content
+  const cursor = QRCode.find({
+    $or: [{ content: null }, { content: { $exists: false } }],
+  }).cursor();
+
+  for await (const qrCode of cursor) {
+    const content = parseContent(qrCode.qrType, qrCode.text);
+    if (!content) {
+      console.warn(
+        `Could not parse QR code ${qrCode._id} as ${qrCode.qrType}; left as is`
+      );
+      skipped++;
+      continue;
+    }
+    await QRCode.updateOne({ _id: qrCode._id }, { $set: { content } });
+    migrated++;
+  }
+
+  console.log(
+    `Stored structured content for ${migrated} QR codes (${skipped} skipped)`
+  );
+  await mongoose.disconnect();
+};
+
+migrate().catch((error) => {
+  console.error("Migration error:", error);
+  process.exit(1);
+});
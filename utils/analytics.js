@@ -3,13 +3,6 @@
  */
 
 const QRCode = require("../models/QRCode");
-const shortid = require("shortid");
-
-// Create a tracking URL for a QR code
-const createTrackingUrl = (baseUrl, qrCodeId) => {
-  const trackingId = shortid.generate();
-  return `${baseUrl}/track/${qrCodeId}/${trackingId}`;
-};
 
 // Record a scan of a QR code
 const recordScan = async (qrCodeId, scanData = {}) => {
@@ -45,6 +38,8 @@ const recordScan = async (qrCodeId, scanData = {}) => {
       referer = "",
       country = "Unknown",
       city = "Unknown",
+      variantId = null,
+      scanId = null,
     } = scanData;
 
     // Enhanced device detection
@@ -84,30 +79,55 @@ const recordScan = async (qrCodeId, scanData = {}) => {
       city: city || "Unknown",
     };
 
-    // Use atomic update to increment scan count and update other fields
-    const updatedQrCode = await QRCode.findByIdAndUpdate(
-      qrCodeId,
-      {
-        $inc: { "analytics.scanCount": 1 },
-        $set: {
-          "analytics.lastScanned": new Date(),
-          isExpired:
-            qrCode.security.maxScans > 0 &&
-            qrCode.analytics.scanCount + 1 >= qrCode.security.maxScans,
-        },
-        $push: {
-          "analytics.scanLocations": {
-            country: locationInfo.country,
-            city: locationInfo.city,
-            timestamp: new Date(),
+    // Use atomic update to increment scan count and update other fields;
+    // scans of a split test are also counted for their variant
+    const updateScan = (countVariant) =>
+      QRCode.findByIdAndUpdate(
+        qrCodeId,
+        {
+          $inc: {
+            "analytics.scanCount": 1,
+            ...(countVariant && { "splitTest.variants.$[variant].scans": 1 }),
+          },
+          $set: {
+            "analytics.lastScanned": new Date(),
+            isExpired:
+              qrCode.security.maxScans > 0 &&
+              qrCode.analytics.scanCount + 1 >= qrCode.security.maxScans,
+          },
+          $push: {
+            "analytics.scanLocations": {
+              ...(scanId && { _id: scanId }),
+              country: locationInfo.country,
+              city: locationInfo.city,
+              ...(variantId && { variantId }),
+              timestamp: new Date(),
+            },
           },
         },
-      },
-      {
-        new: true,
-        runValidators: true,
-      }
+        {
+          new: true,
+          runValidators: true,
+          ...(countVariant && { arrayFilters: [{ "variant._id": variantId }] }),
+        }
+      );
+    // A test that ended or was replaced since the variant was picked has no
+    // such variant, so the scan is still recorded, just not for the variant
+    const countVariant = Boolean(
+      variantId &&
+        qrCode.splitTest?.variants.some(
+          (variant) => String(variant._id) === String(variantId)
+        )
     );
+    let updatedQrCode;
+    try {
+      updatedQrCode = await updateScan(countVariant);
+    } catch (error) {
+      if (!countVariant) {
+        throw error;
+      }
+      updatedQrCode = await updateScan(false);
+    }
 
     // Handle device analytics
     const deviceExists = await QRCode.findOne({
@@ -155,6 +175,46 @@ const recordScan = async (qrCodeId, scanData = {}) => {
   }
 };
 
+// Record a click on a button of a link page
+const recordLinkClick = async (qrCodeId, link) => {
+  try {
+    const increment = () =>
+      QRCode.updateOne(
+        { _id: qrCodeId, "analytics.linkClicks.linkId": link.id },
+        {
+          $inc: { "analytics.linkClicks.$.count": 1 },
+          $set: {
+            "analytics.linkClicks.$.label": link.label,
+            "analytics.linkClicks.$.lastClicked": new Date(),
+          },
+        }
+      );
+
+    if ((await increment()).matchedCount) {
+      return true;
+    }
+    // First click on the link; a click that added it meanwhile is counted
+    // by incrementing after all
+    const added = await QRCode.updateOne(
+      { _id: qrCodeId, "analytics.linkClicks.linkId": { $ne: link.id } },
+      {
+        $push: {
+          "analytics.linkClicks": {
+            linkId: link.id,
+            label: link.label,
+            count: 1,
+            lastClicked: new Date(),
+          },
+        },
+      }
+    );
+    return Boolean(added.matchedCount || (await increment()).matchedCount);
+  } catch (error) {
+    console.error("[recordLinkClick] Error recording link click:", error);
+    return false;
+  }
+};
+
 // Check if a QR code has expired
 const isQrCodeExpired = (qrCode) => {
   console.log("[isQrCodeExpired] Called with qrCode:", qrCode); // New log
@@ -278,8 +338,8 @@ const getAnalytics = async (qrCodeId = null, userId = null) => {
 };
 
 module.exports = {
-  createTrackingUrl,
   recordScan,
+  recordLinkClick,
   isQrCodeExpired,
   getAnalytics,
 };
@@ -0,0 +1,67 @@
+/**
+ * Color parsing helpers shared by the renderers
+ */
+
+const { ValidationError } = require("./errors");
+
+// Parse "#rgb", "#rrggbb" or "#rrggbbaa" into channel values
+const parseHexColor = (value, fallback) => {
+  const hex = String(value || fallback)
+    .trim()
+    .replace(/^#/, "");
+  const expanded =
+    hex.length === 3 || hex.length === 4
+      ? hex
+          .split("")
+          .map((c) => c + c)
+          .join("")
+      : hex;
+
+  if (!/^[0-9a-fA-F]{6}([0-9a-fA-F]{2})?$/.test(expanded)) {
+    throw new ValidationError(`Invalid color value: ${value}`);
+  }
+
+  return {
+    r: parseInt(expanded.slice(0, 2), 16),
+    g: parseInt(expanded.slice(2, 4), 16),
+    b: parseInt(expanded.slice(4, 6), 16),
+    a: expanded.length === 8 ? parseInt(expanded.slice(6, 8), 16) / 255 : 1,
+  };
+};
+
+const toHex = ({ r, g, b }) =>
+  "#" + [r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("");
+
+// Composite a possibly translucent color over an opaque background
+const blendOver = (color, background) => {
+  const alpha = color.a ?? 1;
+  const mix = (channel) =>
+    Math.round(color[channel] * alpha + background[channel] * (1 - alpha));
+  return { r: mix("r"), g: mix("g"), b: mix("b"), a: 1 };
+};
+
+// WCAG 2 relative luminance
+const relativeLuminance = ({ r, g, b }) => {
+  const linear = (channel) => {
+    const value = channel / 255;
+    return value <= 0.03928
+      ? value / 12.92
+      : Math.pow((value + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+};
+
+// WCAG 2 contrast ratio, from 1 (identical) to 21 (black on white)
+const contrastRatio = (first, second) => {
+  const lighter = Math.max(relativeLuminance(first), relativeLuminance(second));
+  const darker = Math.min(relativeLuminance(first), relativeLuminance(second));
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+module.exports = {
+  parseHexColor,
+  toHex,
+  blendOver,
+  relativeLuminance,
+  contrastRatio,
+};
@@ -0,0 +1,283 @@
+/**
+ * Branded domains for tracking URLs. A user registers a hostname, proves
+ * control of it with a DNS TXT record or a file under /.well-known, and picks
+ * it for new codes. Requests are routed by their Host header: the app's own
+ * hosts (PUBLIC_BASE_URL, RENDER_EXTERNAL_URL, APP_HOSTS and localhost) serve
+ * everything, a verified domain only the scans of its codes, and any other
+ * host is rejected
+ */
+
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const mongoose = require("mongoose");
+const Domain = require("../models/Domain");
+const { ValidationError } = require("./errors");
+
+const TXT_RECORD_PREFIX = "_qr-verify";
+const WELL_KNOWN_PATH = "/.well-known/qr-verify.txt";
+const TOKEN_PREFIX = "qr-verify=";
+const VERIFICATION_TIMEOUT = 5000;
+const MAX_VERIFICATION_BYTES = 1024;
+const CACHE_TTL = 60 * 1000;
+const MAX_CACHED_HOSTS = 1000;
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// What a branded domain serves: scans, short links and the password check of
+// protected codes
+const DOMAIN_PATHS = ["/s/", "/track/", "/api/analytics/verify-password/"];
+
+const getUrlHostname = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+const getAppHosts = () =>
+  [
+    getUrlHostname(process.env.PUBLIC_BASE_URL),
+    getUrlHostname(process.env.RENDER_EXTERNAL_URL),
+    ...String(process.env.APP_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim().toLowerCase()),
+    ...LOCAL_HOSTS,
+  ].filter(Boolean);
+
+const isAppHost = (hostname) =>
+  getAppHosts().includes(String(hostname).toLowerCase());
+
+// Base of tracking URLs on the app's own domain, the request's origin when
+// none is configured
+const getDefaultBaseUrl = (req) =>
+  (
+    process.env.PUBLIC_BASE_URL ||
+    process.env.RENDER_EXTERNAL_URL ||
+    `${req.protocol}://${req.get("host")}`
+  ).replace(/\/+$/, "");
+
+// Base of the tracking URLs of a code on a branded domain, or the app's own
+const getBaseUrl = (req, domain) =>
+  domain ? `https://${domain.hostname}` : getDefaultBaseUrl(req);
+
+// Check a hostname to register; only names, no addresses or ports
+const normalizeHostname = (hostname) => {
+  const normalized = String(hostname ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\.$/, "");
+  if (
+    normalized.length > 253 ||
+    !/^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+([a-z]{2,63}|xn--[a-z0-9-]{1,59})$/.test(
+      normalized
+    )
+  ) {
+    throw new ValidationError(
+      "hostname must be a domain name like qr.example.com"
+    );
+  }
+  if (isAppHost(normalized)) {
+    throw new ValidationError("hostname is a domain of the app itself");
+  }
+  return normalized;
+};
+
+const createVerificationToken = () => crypto.randomBytes(16).toString("hex");
+
+// What the owner publishes to prove control of the domain, either way works
+const getVerificationInstructions = (domain) => {
+  const value = `${TOKEN_PREFIX}${domain.verificationToken}`;
+  return {
+    dns: {
+      type: "TXT",
+      name: `${TXT_RECORD_PREFIX}.${domain.hostname}`,
+      value,
+    },
+    file: {
+      url: `http://${domain.hostname}${WELL_KNOWN_PATH}`,
+      content: value,
+    },
+  };
+};
+
+const checkDnsRecord = async (domain) => {
+  const { name, value } = getVerificationInstructions(domain).dns;
+  try {
+    const records = await dns.resolveTxt(name);
+    return records.some((chunks) => chunks.join("").trim() === value);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Addresses the file check may not reach: private, loopback, link-local and
+// other ranges that are not on the public internet
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, "ipv4"));
+[
+  ["::", 127],
+  ["::ffff:0:0", 96],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, "ipv6"));
+
+// Address to check a domain at, or null when it does not resolve or any of
+// its addresses is not public
+const resolvePublicAddress = async (hostname) => {
+  try {
+    const addresses = await dns.lookup(hostname, { all: true });
+    const blocked = addresses.some(({ address, family }) =>
+      blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4")
+    );
+    return addresses.length && !blocked ? addresses[0] : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Body of the well-known file, or null. The request goes to the checked
+// address only, so the name cannot resolve elsewhere in between; redirects
+// are not followed and bodies larger than a token are cut off
+const fetchWellKnownFile = (protocol, hostname, { address, family }) =>
+  new Promise((resolve) => {
+    const request = (protocol === "https" ? https : http).get(
+      {
+        host: hostname,
+        path: WELL_KNOWN_PATH,
+        lookup: (name, options, callback) =>
+          options.all
+            ? callback(null, [{ address, family }])
+            : callback(null, address, family),
+        signal: AbortSignal.timeout(VERIFICATION_TIMEOUT),
+      },
+      (response) => {
+        if (response.statusCode !== 200) {
+          request.destroy();
+          return resolve(null);
+        }
+        let body = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          body += chunk;
+          if (body.length > MAX_VERIFICATION_BYTES) {
+            request.destroy();
+            resolve(null);
+          }
+        });
+        response.on("end", () => resolve(body));
+        response.on("error", () => resolve(null));
+      }
+    );
+    request.on("error", () => resolve(null));
+  });
+
+const checkWellKnownFile = async (domain) => {
+  const { content } = getVerificationInstructions(domain).file;
+  const address = await resolvePublicAddress(domain.hostname);
+  if (!address) {
+    return false;
+  }
+  for (const protocol of ["https", "http"]) {
+    const body = await fetchWellKnownFile(protocol, domain.hostname, address);
+    if (body !== null && body.trim() === content) {
+      return true;
+    }
+  }
+  return false;
+};
+
+const VERIFICATION_CHECKS = { dns: checkDnsRecord, file: checkWellKnownFile };
+
+// Method that proved control of a domain, or null. Without a method every one
+// is tried. DOMAIN_VERIFICATION=stub passes every check without a lookup, for
+// local development
+const verifyDomain = async (domain, method) => {
+  if (method !== undefined && !VERIFICATION_CHECKS[method]) {
+    throw new ValidationError(
+      `method must be one of: ${Object.keys(VERIFICATION_CHECKS).join(", ")}`
+    );
+  }
+  for (const name of method ? [method] : Object.keys(VERIFICATION_CHECKS)) {
+    if (process.env.DOMAIN_VERIFICATION === "stub") {
+      return name;
+    }
+    if (await VERIFICATION_CHECKS[name](domain)) {
+      return name;
+    }
+  }
+  return null;
+};
+
+// Verified domain of each hostname looked up lately, null for hosts without
+// one, so requests do not query the database each time. The oldest entry
+// makes room once the cache is full, which bounds what random hosts can fill
+const domainCache = new Map();
+
+const findVerifiedDomain = async (hostname) => {
+  const cached = domainCache.get(hostname);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.domain;
+  }
+  domainCache.delete(hostname);
+  const domain = await Domain.findOne({ hostname, verifiedAt: { $ne: null } });
+  if (domainCache.size >= MAX_CACHED_HOSTS) {
+    domainCache.delete(domainCache.keys().next().value);
+  }
+  domainCache.set(hostname, { domain, expiresAt: Date.now() + CACHE_TTL });
+  return domain;
+};
+
+const forgetDomain = (hostname) => domainCache.delete(hostname);
+
+// Verified domain of the user for a new code; null picks the app's own
+const resolveCodeDomain = async (userId, domainId) => {
+  if (domainId === undefined || domainId === null || domainId === "") {
+    return null;
+  }
+  const domain = mongoose.isValidObjectId(domainId)
+    ? await Domain.findOne({ _id: domainId, userId })
+    : null;
+  if (!domain) {
+    throw new ValidationError("Domain not found");
+  }
+  if (!domain.verifiedAt) {
+    throw new ValidationError("Verify the domain before using it", {
+      instructions: getVerificationInstructions(domain),
+    });
+  }
+  return domain;
+};
+
+// A branded domain only serves its own codes
+const belongsToHost = (qrCode, req) =>
+  !req.customDomain || String(qrCode.domainId) === String(req.customDomain._id);
+
+module.exports = {
+  DOMAIN_PATHS,
+  isAppHost,
+  getBaseUrl,
+  normalizeHostname,
+  createVerificationToken,
+  getVerificationInstructions,
+  verifyDomain,
+  findVerifiedDomain,
+  forgetDomain,
+  resolveCodeDomain,
+  belongsToHost,
+};
@@ -0,0 +1,114 @@
+/**
+ * Design presets: combining a preset with per-code overrides and re-rendering
+ * the codes based on a preset when it changes
+ */
+
+const mongoose = require("mongoose");
+const DesignPreset = require("../models/DesignPreset");
+const QRCode = require("../models/QRCode");
+const User = require("../models/User");
+const { ValidationError } = require("./errors");
+const { ensureRenders } = require("./renderCache");
+const { assertScannable } = require("./scannability");
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date);
+
+// Deep-merge overrides into a customization; arrays and null replace whole values
+const mergeCustomization = (base = {}, overrides = {}) => {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeCustomization(base[key], value)
+        : value;
+  });
+  return merged;
+};
+
+// Presets a user owns or shares through their team
+const getAccessibleQuery = async (userId) => {
+  const user = await User.findById(userId).select("teamId");
+  return user?.teamId
+    ? { $or: [{ userId }, { teamId: user.teamId }] }
+    : { userId };
+};
+
+const findAccessiblePreset = async (userId, presetId) => {
+  if (!mongoose.isValidObjectId(presetId)) {
+    return null;
+  }
+  return DesignPreset.findOne({
+    _id: presetId,
+    ...(await getAccessibleQuery(userId)),
+  });
+};
+
+// Customization for a code: the given preset, or the user's default preset when
+// presetId is omitted, with the request's customization as overrides on top
+const resolvePresetCustomization = async (
+  userId,
+  { presetId, customization = {} },
+  { useDefault = true } = {}
+) => {
+  let preset = null;
+  if (presetId) {
+    preset = await findAccessiblePreset(userId, presetId);
+    if (!preset) {
+      throw new ValidationError("Design preset not found");
+    }
+  } else if (presetId === undefined && useDefault) {
+    preset = await DesignPreset.findOne({ userId, isDefault: true });
+  }
+
+  if (!preset) {
+    return { customization, presetId: null, presetOverrides: null };
+  }
+  return {
+    customization: mergeCustomization(
+      preset.toObject().customization,
+      customization
+    ),
+    presetId: preset._id,
+    presetOverrides: customization,
+  };
+};
+
+// Re-render every code based on the preset; codes that would no longer scan
+// keep their current look and are reported as failed
+const rerenderPresetCodes = async (preset) => {
+  const presetCustomization = preset.toObject().customization;
+  let rerendered = 0;
+  const failed = [];
+
+  for await (const qrCode of QRCode.find({ presetId: preset._id }).cursor()) {
+    try {
+      qrCode.customization = mergeCustomization(
+        presetCustomization,
+        qrCode.presetOverrides || {}
+      );
+      const content = qrCode.getEncodedContent();
+      const customization = qrCode.getRenderCustomization();
+      await assertScannable(content, customization);
+      qrCode.renderKey = await ensureRenders(content, customization);
+      await qrCode.save();
+      rerendered++;
+    } catch (error) {
+      failed.push({ id: qrCode._id, error: error.message });
+    }
+  }
+
+  return { rerendered, failed };
+};
+
+module.exports = {
+  mergeCustomization,
+  getAccessibleQuery,
+  findAccessiblePreset,
+  resolvePresetCustomization,
+  rerenderPresetCodes,
+};
@@ -0,0 +1,149 @@
+/**
+ * Destination history and scheduled destination changes of QR codes
+ */
+
+const QRCode = require("../models/QRCode");
+const { ValidationError } = require("./errors");
+const { isValidTimezone, zonedTimeToDate } = require("./timezones");
+
+const MAX_VERSIONS = 100; // Versions kept per code, oldest dropped first
+
+const pickDestination = ({ qrType, text, content }) => ({
+  qrType,
+  text,
+  content: content ?? null,
+});
+
+const isSameDestination = (a, b) =>
+  a.qrType === b.qrType &&
+  a.text === b.text &&
+  JSON.stringify(a.content ?? null) === JSON.stringify(b.content ?? null);
+
+// Store the destination of a code as a new version after it changed from
+// previous. Codes from before versioning first get their old destination as
+// version 1, credited to the owner
+const recordVersion = async (qrCode, previous, userId, extra = {}) => {
+  const entries = [];
+  let version = qrCode.currentVersion || 0;
+  if (!version && previous) {
+    entries.push({
+      version: ++version,
+      ...pickDestination(previous),
+      createdBy: qrCode.userId,
+      createdAt: qrCode.createdAt,
+    });
+  }
+  entries.push({
+    version: ++version,
+    ...pickDestination(qrCode),
+    createdBy: String(userId),
+    createdAt: new Date(),
+    ...extra,
+  });
+
+  await QRCode.updateOne(
+    { _id: qrCode._id },
+    {
+      $push: { versions: { $each: entries, $slice: -MAX_VERSIONS } },
+      $set: { currentVersion: version },
+    }
+  );
+  qrCode.currentVersion = version;
+};
+
+// First version of a new code
+const createInitialVersion = (destination, userId) => ({
+  versions: [
+    {
+      version: 1,
+      ...pickDestination(destination),
+      createdBy: String(userId),
+      createdAt: new Date(),
+    },
+  ],
+  currentVersion: 1,
+});
+
+// Start or end of a schedule: an ISO 8601 instant, or a wall-clock
+// YYYY-MM-DDTHH:mm[:ss] in the given time zone
+const parseScheduleTime = (value, timezone, field) => {
+  const text = String(value ?? "").trim();
+  const local =
+    /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+  if (local) {
+    if (!timezone) {
+      throw new ValidationError(
+        `${field} needs a UTC offset, or a timezone for the schedule`
+      );
+    }
+    const [year, month, day, hour, minute, second] = local
+      .slice(1)
+      .map((part) => Number(part || 0));
+    return zonedTimeToDate(
+      { year, month, day, hour, minute, second },
+      timezone
+    );
+  }
+  const date = new Date(text);
+  if (!text || isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be an ISO 8601 date and time`);
+  }
+  return date;
+};
+
+// Validate the period of a schedule. Schedules may not overlap, so which
+// destination a scan gets is always clear
+const resolveSchedulePeriod = (
+  qrCode,
+  { startsAt, endsAt, timezone },
+  now = new Date()
+) => {
+  if (timezone && !isValidTimezone(timezone)) {
+    throw new ValidationError("timezone must be an IANA time zone");
+  }
+  const start = parseScheduleTime(startsAt, timezone, "startsAt");
+  // An end written without seconds includes its whole minute, so a schedule
+  // "until 23:59" still runs during 23:59; with seconds it is exclusive
+  let end = null;
+  if (endsAt !== undefined && endsAt !== null && endsAt !== "") {
+    end = parseScheduleTime(endsAt, timezone, "endsAt");
+    if (!/[T ]\d{2}:\d{2}:\d{2}/.test(String(endsAt))) {
+      end = new Date(end.getTime() + 60 * 1000);
+    }
+  }
+  if (end && end <= start) {
+    throw new ValidationError("endsAt must be after startsAt");
+  }
+  if (end && end <= now) {
+    throw new ValidationError("endsAt must be in the future");
+  }
+
+  const overlapping = (qrCode.scheduledDestinations || []).find(
+    (schedule) =>
+      (!schedule.endsAt || start < schedule.endsAt) &&
+      (!end || schedule.startsAt < end)
+  );
+  if (overlapping) {
+    throw new ValidationError("The schedule overlaps another one", {
+      scheduleId: overlapping._id,
+    });
+  }
+  return { startsAt: start, endsAt: end };
+};
+
+// Drop schedules that are over
+const pruneSchedules = (qrCode, now = new Date()) => {
+  qrCode.scheduledDestinations = (qrCode.scheduledDestinations || []).filter(
+    (schedule) => !schedule.endsAt || schedule.endsAt > now
+  );
+};
+
+module.exports = {
+  MAX_VERSIONS,
+  pickDestination,
+  isSameDestination,
+  recordVersion,
+  createInitialVersion,
+  resolveSchedulePeriod,
+  pruneSchedules,
+};
@@ -0,0 +1,32 @@
+/**
+ * Error types shared by routes and utilities
+ */
+
+const mongoose = require("mongoose");
+
+// Raised when user input cannot be processed; routes answer these with a 400
+class ValidationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "ValidationError";
+    this.details = details;
+  }
+}
+
+// Answer a failed request: 400 with the message and details of invalid input,
+// otherwise a logged 500. Action names what failed, e.g. "deleting domain"
+const sendError = (res, error, action) => {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: error.message, ...error.details });
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({ error: "Internal server error" });
+};
+
+module.exports = {
+  ValidationError,
+  sendError,
+};
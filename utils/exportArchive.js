@@ -0,0 +1,146 @@
+/**
+ * ZIP export of rendered QR code images with a CSV manifest
+ */
+
+const archiver = require("archiver");
+const { ValidationError } = require("./errors");
+const { FORMATS, renderQRCode } = require("./qrRenderer");
+
+const DEFAULT_FILENAME_TEMPLATE = "{tag}-{text}-{id}";
+const FILENAME_PLACEHOLDERS = ["id", "text", "tag", "tags", "type", "date"];
+const MAX_FILENAME_PART = 60;
+const MANIFEST_NAME = "manifest.csv";
+const MANIFEST_COLUMNS = [
+  "filename",
+  "id",
+  "qrType",
+  "destination",
+  "trackingUrl",
+  "tags",
+  "createdAt",
+  "error",
+];
+
+// Keep placeholder values safe for every file system
+const sanitize = (value) =>
+  String(value)
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, "")
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .replace(/-{2,}/g, "-")
+    .replace(/^[-.]+|[-.]+$/g, "")
+    .slice(0, MAX_FILENAME_PART);
+
+const validateFilenameTemplate = (template = DEFAULT_FILENAME_TEMPLATE) => {
+  if (typeof template !== "string" || template.trim() === "") {
+    throw new ValidationError("filenameTemplate must be a non-empty string");
+  }
+  const unknown = (template.match(/\{([^}]*)\}/g) || [])
+    .map((placeholder) => placeholder.slice(1, -1))
+    .filter((name) => !FILENAME_PLACEHOLDERS.includes(name));
+  if (unknown.length) {
+    throw new ValidationError(
+      `Unknown filename placeholders: ${unknown.join(
+        ", "
+      )}; available: ${FILENAME_PLACEHOLDERS.map((name) => `{${name}}`).join(
+        ", "
+      )}`
+    );
+  }
+  // The extension always follows the exported format
+  return template.trim().replace(/\.(png|jpe?g|svg|pdf|eps)$/i, "");
+};
+
+const formatFilename = (template, qrCode, extension) => {
+  const values = {
+    id: qrCode._id,
+    text: qrCode.text,
+    tag: qrCode.tags?.[0] || "untagged",
+    tags: (qrCode.tags || []).join("-") || "untagged",
+    type: qrCode.qrType,
+    date: qrCode.createdAt?.toISOString().slice(0, 10) || "",
+  };
+  const name = template
+    .replace(/\{(\w+)\}/g, (match, key) => sanitize(values[key]))
+    .replace(/[/\\]/g, "-");
+  return `${sanitize(name) || String(qrCode._id)}.${extension}`;
+};
+
+// Quote fields when needed and neutralize values a spreadsheet would run as formulas
+const csvField = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(csvField).join(",") + "\r\n";
+
+// Stream a ZIP with one image per code and the manifest into the output stream.
+// Codes that fail to render are listed in the manifest with their error.
+const writeExportArchive = async (
+  output,
+  qrCodes,
+  { format = "png", dimensions, filenameTemplate }
+) => {
+  const { extension } = FORMATS[format];
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("finish", resolve);
+    archive.on("error", reject);
+  });
+  archive.pipe(output);
+
+  const usedNames = new Set();
+  let manifest = csvRow(MANIFEST_COLUMNS);
+
+  for (const qrCode of qrCodes) {
+    // Stop rendering once the client has gone away
+    if (output.destroyed) {
+      archive.abort();
+      return finished;
+    }
+
+    let filename = formatFilename(filenameTemplate, qrCode, extension);
+    const baseName = filename.slice(0, -(extension.length + 1));
+    for (let n = 2; usedNames.has(filename); n++) {
+      filename = `${baseName}-${n}.${extension}`;
+    }
+
+    let error = "";
+    try {
+      const image = await renderQRCode(
+        qrCode.getEncodedContent(),
+        qrCode.getRenderCustomization(),
+        { format, dimensions }
+      );
+      usedNames.add(filename);
+      archive.append(image.buffer, { name: filename, date: qrCode.createdAt });
+    } catch (renderError) {
+      error = renderError.message;
+      filename = "";
+    }
+
+    manifest += csvRow([
+      filename,
+      qrCode._id,
+      qrCode.qrType,
+      qrCode.text,
+      qrCode.trackingUrl,
+      (qrCode.tags || []).join(";"),
+      qrCode.createdAt?.toISOString(),
+      error,
+    ]);
+  }
+
+  archive.append(manifest, { name: MANIFEST_NAME });
+  await archive.finalize();
+  return finished;
+};
+
+module.exports = {
+  DEFAULT_FILENAME_TEMPLATE,
+  validateFilenameTemplate,
+  writeExportArchive,
+};
@@ -0,0 +1,180 @@
+/**
+ * Documents behind file codes. They are kept outside the static uploads
+ * directory so they are only served through the tracking route, which counts
+ * every download and enforces the security settings of the code
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const QRCode = require("../models/QRCode");
+const { ValidationError } = require("./errors");
+
+const FILE_DIR = path.join(__dirname, "../storage/files");
+
+const MB = 1024 * 1024;
+const ZIP_SIGNATURE = Buffer.from("PK\x03\x04", "binary");
+
+// Accepted documents by MIME type, with their extensions, size limit and the
+// bytes the file starts with
+const FILE_TYPES = {
+  "application/pdf": {
+    extensions: [".pdf"],
+    maxSize: 20 * MB,
+    signature: Buffer.from("%PDF-"),
+  },
+  "image/jpeg": {
+    extensions: [".jpg", ".jpeg"],
+    maxSize: 10 * MB,
+    signature: Buffer.from([0xff, 0xd8, 0xff]),
+  },
+  "image/png": {
+    extensions: [".png"],
+    maxSize: 10 * MB,
+    signature: Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+  },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    extensions: [".docx"],
+    maxSize: 20 * MB,
+    signature: ZIP_SIGNATURE,
+  },
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": {
+    extensions: [".pptx"],
+    maxSize: 50 * MB,
+    signature: ZIP_SIGNATURE,
+  },
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": {
+    extensions: [".xlsx"],
+    maxSize: 20 * MB,
+    signature: ZIP_SIGNATURE,
+  },
+  "text/plain": { extensions: [".txt"], maxSize: 1 * MB },
+};
+
+// Upper bound for the upload middleware; the limit of each type is checked
+// once the type is known
+const MAX_FILE_SIZE = Math.max(
+  ...Object.values(FILE_TYPES).map(({ maxSize }) => maxSize)
+);
+
+const isValidFileId = (fileId) =>
+  typeof fileId === "string" && /^[a-f0-9]{32}$/.test(fileId);
+
+const getFilePaths = (fileId) => ({
+  data: path.join(FILE_DIR, fileId),
+  meta: path.join(FILE_DIR, `${fileId}.json`),
+});
+
+// Keep the base name of uploaded files, without characters that break headers
+const sanitizeFilename = (filename) =>
+  path
+    .basename(String(filename || "file"))
+    .replace(/[\x00-\x1f\x7f"\\/]/g, "")
+    .slice(-200) || "file";
+
+// Check an uploaded file against the limits of its type
+const validateFile = ({ buffer, originalname, mimetype }) => {
+  const fileType = FILE_TYPES[mimetype];
+  if (!fileType) {
+    throw new ValidationError(
+      `Only these file types are allowed: ${Object.keys(FILE_TYPES).join(", ")}`
+    );
+  }
+  const extension = path.extname(String(originalname)).toLowerCase();
+  if (!fileType.extensions.includes(extension)) {
+    throw new ValidationError(
+      `${mimetype} files must end in ${fileType.extensions.join(" or ")}`
+    );
+  }
+  if (buffer.length > fileType.maxSize) {
+    throw new ValidationError(
+      `${mimetype} files can be at most ${fileType.maxSize / MB} MB`
+    );
+  }
+  if (
+    fileType.signature &&
+    !buffer.subarray(0, fileType.signature.length).equals(fileType.signature)
+  ) {
+    throw new ValidationError(`File content is not ${mimetype}`);
+  }
+};
+
+// Store an uploaded file of a user; returns its metadata with the fileId that
+// file codes refer to
+const storeFile = async (userId, file) => {
+  validateFile(file);
+  const fileId = crypto.randomBytes(16).toString("hex");
+  const metadata = {
+    fileId,
+    userId: String(userId),
+    filename: sanitizeFilename(file.originalname),
+    mimeType: file.mimetype,
+    size: file.buffer.length,
+    uploadedAt: new Date(),
+  };
+  const paths = getFilePaths(fileId);
+  await fs.outputFile(paths.data, file.buffer);
+  await fs.outputJson(paths.meta, metadata);
+  return metadata;
+};
+
+// Metadata and path of a stored file, or null
+const getStoredFile = async (fileId) => {
+  if (!isValidFileId(fileId)) {
+    return null;
+  }
+  const paths = getFilePaths(fileId);
+  try {
+    const metadata = await fs.readJson(paths.meta);
+    return { ...metadata, path: paths.data };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Files a code refers to in its content, versions, schedules, redirect rules
+// and split test variants
+const getReferencedFileIds = (qrCode) =>
+  [
+    qrCode,
+    ...(qrCode.versions || []),
+    ...(qrCode.scheduledDestinations || []),
+    ...(qrCode.redirectRules || []),
+    ...(qrCode.splitTest?.variants || []),
+  ]
+    .map((destination) => destination.content?.fileId)
+    .filter(Boolean);
+
+// Delete files that no code refers to anymore, counting earlier versions,
+// scheduled destinations, redirect rules and split test variants
+const removeUnusedFiles = async (fileIds) => {
+  for (const fileId of new Set(fileIds.filter(isValidFileId))) {
+    try {
+      const used = await QRCode.exists({
+        $or: [
+          { "content.fileId": fileId },
+          { "versions.content.fileId": fileId },
+          { "scheduledDestinations.content.fileId": fileId },
+          { "redirectRules.content.fileId": fileId },
+          { "splitTest.variants.content.fileId": fileId },
+        ],
+      });
+      if (!used) {
+        const paths = getFilePaths(fileId);
+        await fs.remove(paths.data);
+        await fs.remove(paths.meta);
+      }
+    } catch (error) {
+      console.error("Error removing stored file:", fileId, error);
+    }
+  }
+};
+
+module.exports = {
+  FILE_TYPES,
+  MAX_FILE_SIZE,
+  storeFile,
+  getStoredFile,
+  getReferencedFileIds,
+  removeUnusedFiles,
+};
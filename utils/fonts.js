@@ -0,0 +1,165 @@
+/**
+ * Bundled caption fonts and conversion of text into vector paths, so captions
+ * look the same in every output format without relying on system fonts
+ */
+
+const fs = require("fs");
+const opentype = require("opentype.js");
+const { ValidationError } = require("./errors");
+const { formatNumber } = require("./vectorPaths");
+
+// Fontsource packages and the weights each of them ships
+const FONTS = {
+  roboto: {
+    package: "@fontsource/roboto",
+    prefix: "roboto",
+    weights: [400, 700],
+  },
+  montserrat: {
+    package: "@fontsource/montserrat",
+    prefix: "montserrat",
+    weights: [400, 700],
+  },
+  "open-sans": {
+    package: "@fontsource/open-sans",
+    prefix: "open-sans",
+    weights: [400, 700],
+  },
+  lobster: {
+    package: "@fontsource/lobster",
+    prefix: "lobster",
+    weights: [400],
+  },
+};
+
+// Characters missing from the first subset are looked up in the next one
+const SUBSETS = ["latin", "latin-ext"];
+
+const faceCache = new Map();
+
+const loadFaces = (fontName, bold) => {
+  const font = FONTS[fontName];
+  const weight = bold && font.weights.includes(700) ? 700 : 400;
+  const cacheKey = `${fontName}-${weight}`;
+
+  if (!faceCache.has(cacheKey)) {
+    const faces = SUBSETS.map((subset) => {
+      const file = require.resolve(
+        `${font.package}/files/${font.prefix}-${subset}-${weight}-normal.woff`
+      );
+      const buffer = fs.readFileSync(file);
+      return opentype.parse(
+        buffer.buffer.slice(
+          buffer.byteOffset,
+          buffer.byteOffset + buffer.length
+        )
+      );
+    });
+    faceCache.set(cacheKey, faces);
+  }
+
+  return faceCache.get(cacheKey);
+};
+
+// Place each character using the first face that has a glyph for it
+const layoutGlyphs = (text, faces, size) => {
+  const glyphs = [];
+  let x = 0;
+  let previous = null;
+
+  for (const char of text) {
+    const face = faces.find((f) => f.charToGlyphIndex(char) > 0) || faces[0];
+    const glyph = face.charToGlyph(char);
+    const scale = size / face.unitsPerEm;
+
+    if (previous && previous.face === face) {
+      x += face.getKerningValue(previous.glyph, glyph) * scale;
+    }
+    glyphs.push({ glyph, x });
+    x += glyph.advanceWidth * scale;
+    previous = { face, glyph };
+  }
+
+  return { glyphs, width: x };
+};
+
+// Convert opentype path commands to M/L/C/Z, raising quadratic curves to cubic
+const commandsToPath = (commands) => {
+  const n = formatNumber;
+  let d = "";
+  let current = [0, 0];
+
+  commands.forEach((command) => {
+    switch (command.type) {
+      case "M":
+        d += `M${n(command.x)} ${n(command.y)}`;
+        break;
+      case "L":
+        d += `L${n(command.x)} ${n(command.y)}`;
+        break;
+      case "C":
+        d += `C${n(command.x1)} ${n(command.y1)} ${n(command.x2)} ${n(
+          command.y2
+        )} ${n(command.x)} ${n(command.y)}`;
+        break;
+      case "Q": {
+        const [x0, y0] = current;
+        d += `C${n(x0 + (2 / 3) * (command.x1 - x0))} ${n(
+          y0 + (2 / 3) * (command.y1 - y0)
+        )} ${n(command.x + (2 / 3) * (command.x1 - command.x))} ${n(
+          command.y + (2 / 3) * (command.y1 - command.y)
+        )} ${n(command.x)} ${n(command.y)}`;
+        break;
+      }
+      case "Z":
+        d += "Z";
+        break;
+    }
+    if (command.type !== "Z") {
+      current = [command.x, command.y];
+    }
+  });
+
+  return d;
+};
+
+// Path for one line of text centered on (centerX, centerY), shrunk to fit maxWidth
+const textToPath = (
+  text,
+  { font = "roboto", bold = false, size, centerX, centerY, maxWidth }
+) => {
+  if (!FONTS[font]) {
+    throw new ValidationError(
+      `Font must be one of: ${Object.keys(FONTS).join(", ")}`
+    );
+  }
+
+  const faces = loadFaces(font, bold);
+  let fontSize = size;
+  let layout = layoutGlyphs(text, faces, fontSize);
+
+  if (maxWidth && layout.width > maxWidth) {
+    fontSize = (size * maxWidth) / layout.width;
+    layout = layoutGlyphs(text, faces, fontSize);
+  }
+
+  // Center on the cap height so captions sit visually in the middle
+  const primary = faces[0];
+  const capHeight =
+    ((primary.tables.os2?.sCapHeight || primary.ascender * 0.7) /
+      primary.unitsPerEm) *
+    fontSize;
+  const originX = centerX - layout.width / 2;
+  const baseline = centerY + capHeight / 2;
+
+  return layout.glyphs
+    .map(({ glyph, x }) =>
+      commandsToPath(glyph.getPath(originX + x, baseline, fontSize).commands)
+    )
+    .join("");
+};
+
+module.exports = {
+  FONTS,
+  textToPath,
+};
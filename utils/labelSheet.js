@@ -0,0 +1,272 @@
+/**
+ * Printable label sheets: QR codes laid out on Avery-style sticker sheets as a
+ * multi-page PDF
+ */
+
+const PDFDocument = require("pdfkit");
+const { ValidationError } = require("./errors");
+const { textToPath } = require("./fonts");
+const { UNIT_TO_INCHES, drawSceneOnPDF, collectPDF } = require("./qrRenderer");
+
+// Page sizes in points
+const PAGE_SIZES = {
+  letter: [612, 792],
+  legal: [612, 1008],
+  a4: [595.28, 841.89],
+  a5: [419.53, 595.28],
+};
+
+// Sheet layouts of common label products, in the unit they are specified in
+const LABEL_PRESETS = {
+  // 30 address labels, 2 5/8" x 1"
+  "avery-5160": {
+    pageSize: "letter",
+    unit: "in",
+    columns: 3,
+    rows: 10,
+    margins: { top: 0.5, right: 0.1875, bottom: 0.5, left: 0.1875 },
+    gap: { x: 0.125, y: 0 },
+  },
+  // 10 shipping labels, 4" x 2"
+  "avery-5163": {
+    pageSize: "letter",
+    unit: "in",
+    columns: 2,
+    rows: 5,
+    margins: { top: 0.5, right: 0.15625, bottom: 0.5, left: 0.15625 },
+    gap: { x: 0.1875, y: 0 },
+  },
+  // 24 square labels, 1 1/2" x 1 1/2"
+  "avery-22805": {
+    pageSize: "letter",
+    unit: "in",
+    columns: 4,
+    rows: 6,
+    margins: { top: 0.5, right: 0.78125, bottom: 0.5, left: 0.78125 },
+    gap: { x: 0.3125, y: 0.2 },
+  },
+  // 21 address labels on A4, 63.5 x 38.1 mm
+  "avery-l7160": {
+    pageSize: "a4",
+    unit: "mm",
+    columns: 3,
+    rows: 7,
+    margins: { top: 15.15, right: 7.25, bottom: 15.15, left: 7.25 },
+    gap: { x: 2.5, y: 0 },
+  },
+};
+
+const CAPTIONS = ["none", "text", "tags"];
+const MAX_GRID_SIZE = 50;
+const LABEL_PADDING = 0.08; // Share of the shorter label side kept blank around the content
+const MAX_CAPTION_LENGTH = 48;
+const MAX_CAPTION_SIZE = 12; // Points
+
+const toNumber = (value, name, { min = 0 } = {}) => {
+  const number = Number(value);
+  if (value === undefined || value === null || isNaN(number) || number < min) {
+    throw new ValidationError(`${name} must be a number of at least ${min}`);
+  }
+  return number;
+};
+
+const toGridSize = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > MAX_GRID_SIZE) {
+    throw new ValidationError(
+      `${name} must be an integer between 1 and ${MAX_GRID_SIZE}`
+    );
+  }
+  return number;
+};
+
+// Accept a preset name or a custom layout (optionally based on a preset) and
+// return the label grid in points
+const resolveLayout = (layout = "avery-22805") => {
+  const custom = typeof layout === "string" ? { preset: layout } : layout;
+  if (!custom || typeof custom !== "object") {
+    throw new ValidationError("layout must be a preset name or an object");
+  }
+
+  let base = {};
+  if (custom.preset !== undefined) {
+    base = LABEL_PRESETS[custom.preset];
+    if (!base) {
+      throw new ValidationError(
+        `Label preset must be one of: ${Object.keys(LABEL_PRESETS).join(", ")}`
+      );
+    }
+  }
+  const options = { ...base, ...custom };
+
+  const unit = options.unit || "in";
+  if (!UNIT_TO_INCHES[unit]) {
+    throw new ValidationError(
+      `unit must be one of: ${Object.keys(UNIT_TO_INCHES).join(", ")}`
+    );
+  }
+  const toPoints = (value, name) =>
+    toNumber(value, name) * UNIT_TO_INCHES[unit] * 72;
+
+  let pageSize = options.pageSize || "letter";
+  if (typeof pageSize === "string") {
+    if (!PAGE_SIZES[pageSize.toLowerCase()]) {
+      throw new ValidationError(
+        `Page size must be one of: ${Object.keys(PAGE_SIZES).join(
+          ", "
+        )}, or [width, height]`
+      );
+    }
+    pageSize = PAGE_SIZES[pageSize.toLowerCase()];
+  } else if (Array.isArray(pageSize) && pageSize.length === 2) {
+    pageSize = pageSize.map((value) => toPoints(value, "Page size"));
+  } else {
+    throw new ValidationError("Page size must be a name or [width, height]");
+  }
+
+  const margins =
+    typeof options.margins === "object" && options.margins !== null
+      ? options.margins
+      : {
+          top: options.margins ?? 0,
+          right: options.margins ?? 0,
+          bottom: options.margins ?? 0,
+          left: options.margins ?? 0,
+        };
+  const gap =
+    typeof options.gap === "object" && options.gap !== null
+      ? options.gap
+      : { x: options.gap ?? 0, y: options.gap ?? 0 };
+
+  const columns = toGridSize(options.columns, "columns");
+  const rows = toGridSize(options.rows, "rows");
+  const [pageWidth, pageHeight] = pageSize;
+  const top = toPoints(margins.top ?? 0, "Top margin");
+  const right = toPoints(margins.right ?? 0, "Right margin");
+  const bottom = toPoints(margins.bottom ?? 0, "Bottom margin");
+  const left = toPoints(margins.left ?? 0, "Left margin");
+  const gapX = toPoints(gap.x ?? 0, "Horizontal gap");
+  const gapY = toPoints(gap.y ?? 0, "Vertical gap");
+
+  const labelWidth =
+    (pageWidth - left - right - gapX * (columns - 1)) / columns;
+  const labelHeight = (pageHeight - top - bottom - gapY * (rows - 1)) / rows;
+  if (labelWidth <= 0 || labelHeight <= 0) {
+    throw new ValidationError("Margins and gaps leave no room for labels");
+  }
+
+  return {
+    pageWidth,
+    pageHeight,
+    columns,
+    rows,
+    top,
+    left,
+    gapX,
+    gapY,
+    labelWidth,
+    labelHeight,
+  };
+};
+
+const truncate = (text) =>
+  text.length > MAX_CAPTION_LENGTH
+    ? `${text.slice(0, MAX_CAPTION_LENGTH - 3)}...`
+    : text;
+
+// Place the code and its caption inside one label; wide labels get the
+// caption beside the code, the others underneath it
+const drawLabel = async (doc, { scene, caption }, x, y, layout) => {
+  const padding =
+    Math.min(layout.labelWidth, layout.labelHeight) * LABEL_PADDING;
+  const inner = {
+    x: x + padding,
+    y: y + padding,
+    width: layout.labelWidth - padding * 2,
+    height: layout.labelHeight - padding * 2,
+  };
+  const sideCaption = caption && inner.width >= inner.height * 1.6;
+  const captionHeight = caption && !sideCaption ? inner.height * 0.15 : 0;
+
+  const available = {
+    width: sideCaption ? inner.height : inner.width,
+    height: inner.height - captionHeight,
+  };
+  const width = Math.min(
+    available.width,
+    (available.height * scene.width) / scene.height
+  );
+  const height = (width * scene.height) / scene.width;
+  const codeX = sideCaption ? inner.x : inner.x + (inner.width - width) / 2;
+  const codeY = inner.y + (available.height - height) / 2;
+
+  await drawSceneOnPDF(doc, scene, { x: codeX, y: codeY, width });
+
+  if (!caption) {
+    return;
+  }
+
+  const captionBox = sideCaption
+    ? {
+        x: codeX + width + padding,
+        y: inner.y,
+        width: inner.width - width - padding,
+        height: inner.height,
+      }
+    : {
+        x: inner.x,
+        y: inner.y + inner.height - captionHeight,
+        width: inner.width,
+        height: captionHeight,
+      };
+  const d = textToPath(truncate(caption), {
+    size: Math.min(
+      MAX_CAPTION_SIZE,
+      sideCaption ? captionBox.height * 0.2 : captionBox.height * 0.7
+    ),
+    centerX: captionBox.x + captionBox.width / 2,
+    centerY: captionBox.y + captionBox.height / 2,
+    maxWidth: captionBox.width,
+  });
+  if (d) {
+    doc.fillOpacity(1).path(d).fill("#000000");
+  }
+};
+
+// Lay out the labels row by row, starting a new page whenever one is full
+const renderLabelSheet = async (labels, layout) => {
+  const perPage = layout.columns * layout.rows;
+  const doc = new PDFDocument({
+    size: [layout.pageWidth, layout.pageHeight],
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: "QR Code Labels", Creator: "qr-generator-backend" },
+  });
+  const output = collectPDF(doc);
+
+  for (let index = 0; index < labels.length; index++) {
+    const slot = index % perPage;
+    if (slot === 0) {
+      doc.addPage();
+    }
+    const column = slot % layout.columns;
+    const row = Math.floor(slot / layout.columns);
+    await drawLabel(
+      doc,
+      labels[index],
+      layout.left + column * (layout.labelWidth + layout.gapX),
+      layout.top + row * (layout.labelHeight + layout.gapY),
+      layout
+    );
+  }
+
+  doc.end();
+  return output;
+};
+
+module.exports = {
+  LABEL_PRESETS,
+  CAPTIONS,
+  resolveLayout,
+  renderLabelSheet,
+};
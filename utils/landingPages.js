@@ -0,0 +1,360 @@
+/**
+ * Mobile landing pages served by the tracking route for codes whose content
+ * is not a web address (contacts, events, Wi-Fi networks, locations, ...)
+ */
+
+const jwt = require("jsonwebtoken");
+const {
+  formatVCard,
+  formatEvent,
+  formatContent,
+  isHostedType,
+} = require("./qrTypeFormatter");
+const { parseContent } = require("./qrTypeParser");
+
+const ACCESS_TOKEN_LIFETIME = "1h";
+
+// Landing page links of password protected codes carry a short-lived token,
+// signed apart from login tokens so neither can stand in for the other
+const getAccessSecret = () => `${process.env.JWT_SECRET}:landing-page`;
+
+const createAccessToken = (qrCodeId) =>
+  jwt.sign({ qrCodeId: String(qrCodeId) }, getAccessSecret(), {
+    expiresIn: ACCESS_TOKEN_LIFETIME,
+  });
+
+const verifyAccessToken = (token, qrCodeId) => {
+  try {
+    return (
+      jwt.verify(String(token), getAccessSecret()).qrCodeId === String(qrCodeId)
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Codes with a web address are redirected; hosted types and everything else
+// get a page
+const hasLandingPage = (qrCode) =>
+  isHostedType(qrCode.qrType) ||
+  (qrCode.qrType !== "url" && !/^https?:\/\//i.test(qrCode.text));
+
+const getContent = (qrCode) =>
+  qrCode.content || parseContent(qrCode.qrType, qrCode.text) || {};
+
+// File offered for download on contact and event pages
+const getDownload = (qrCode) => {
+  switch (qrCode.qrType) {
+    case "vcard":
+    case "mecard":
+      return {
+        filename: "contact.vcf",
+        contentType: "text/vcard; charset=utf-8",
+        body: /^BEGIN:VCARD/i.test(qrCode.text)
+          ? qrCode.text
+          : formatVCard(getContent(qrCode)),
+      };
+    case "event":
+      return {
+        filename: "event.ics",
+        contentType: "text/calendar; charset=utf-8",
+        body: /^BEGIN:VCALENDAR/i.test(qrCode.text)
+          ? qrCode.text
+          : formatEvent(getContent(qrCode)),
+      };
+    default:
+      return null;
+  }
+};
+
+const button = (href, label, attributes = "") =>
+  `<a class="button" href="${escapeHtml(href)}"${attributes}>${escapeHtml(
+    label
+  )}</a>`;
+
+const copyButton = (value, label = "Copy") =>
+  `<button type="button" data-copy="${escapeHtml(value)}">${escapeHtml(
+    label
+  )}</button>`;
+
+const detail = (label, value) =>
+  value
+    ? `<div class="detail"><span>${escapeHtml(
+        label
+      )}</span><strong>${escapeHtml(value)}</strong></div>`
+    : "";
+
+// Event times as stored: dates, wall-clock times in the event's time zone, or
+// instants shown in that time zone (UTC without one)
+const formatEventTime = (value, timezone = "UTC") => {
+  const text = String(value || "");
+  if (!text || /^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return text;
+  }
+  if (!/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    return `${text.replace("T", " ").slice(0, 16)} (${timezone})`;
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime())
+    ? text
+    : `${date.toLocaleString("en-US", {
+        dateStyle: "medium",
+        timeStyle: "short",
+        timeZone: timezone,
+      })} (${timezone})`;
+};
+
+const LINK_ICONS = {
+  website: "🌐",
+  email: "✉️",
+  phone: "📞",
+  shop: "🛒",
+  instagram: "📷",
+  facebook: "👥",
+  x: "𝕏",
+  tiktok: "🎵",
+  youtube: "▶️",
+  linkedin: "💼",
+  github: "💻",
+  spotify: "🎧",
+  whatsapp: "💬",
+  telegram: "✈️",
+};
+
+const linkIcon = (icon) => {
+  if (!icon) {
+    return "";
+  }
+  return LINK_ICONS[icon]
+    ? `<span class="icon">${LINK_ICONS[icon]}</span> `
+    : `<img class="icon" src="${escapeHtml(icon)}" alt=""> `;
+};
+
+// Title and body of the page for each type; pageUrl gives the address of the
+// download and click routes next to the page
+const PAGE_BUILDERS = {
+  vcard: (content, { pageUrl }) => {
+    const name =
+      content.fullName ||
+      [content.firstName, content.lastName].filter(Boolean).join(" ") ||
+      content.organization;
+    const phones = [
+      ...(content.phone ? [content.phone] : []),
+      ...(content.phones || []).map((phone) => phone.number || phone),
+    ];
+    const emails = [
+      ...(content.email ? [content.email] : []),
+      ...(content.emails || []).map((email) => email.address || email),
+    ];
+    return {
+      title: name || "Contact",
+      body: `
+        ${
+          content.photo
+            ? `<img class="photo" src="${escapeHtml(content.photo)}" alt="">`
+            : ""
+        }
+        <h2>${escapeHtml(name || "Contact")}</h2>
+        ${
+          content.title || content.organization
+            ? `<p>${escapeHtml(
+                [content.title, content.organization].filter(Boolean).join(", ")
+              )}</p>`
+            : ""
+        }
+        ${phones.map((phone) => detail("Phone", phone)).join("")}
+        ${emails.map((email) => detail("Email", email)).join("")}
+        ${detail("Website", content.url)}
+        ${button(pageUrl("download"), "Save contact")}
+      `,
+    };
+  },
+  event: (content, { pageUrl }) => ({
+    title: content.summary || "Event",
+    body: `
+      <h2>${escapeHtml(content.summary || "Event")}</h2>
+      ${detail("Starts", formatEventTime(content.startDate, content.timezone))}
+      ${detail("Ends", formatEventTime(content.endDate, content.timezone))}
+      ${detail("Location", content.location)}
+      ${content.description ? `<p>${escapeHtml(content.description)}</p>` : ""}
+      ${button(pageUrl("download"), "Add to calendar")}
+    `,
+  }),
+  wifi: (content) => ({
+    title: content.ssid ? `Wi-Fi: ${content.ssid}` : "Wi-Fi",
+    body: `
+      <h2>📶 ${escapeHtml(content.ssid || "Wi-Fi network")}</h2>
+      ${detail("Network", content.ssid)}
+      ${detail("Security", content.encryption)}
+      ${detail("Password", content.password)}
+      ${content.password ? copyButton(content.password, "Copy password") : ""}
+      <p class="hint">Open your Wi-Fi settings, choose this network and paste the password.</p>
+    `,
+  }),
+  geo: (content) => {
+    const position = `${content.lat},${content.lng}`;
+    return {
+      title: "Location",
+      body: `
+        <h2>📍 Location</h2>
+        ${detail("Coordinates", position)}
+        ${button(
+          `https://www.google.com/maps/search/?api=1&query=${position}`,
+          "Open in Google Maps"
+        )}
+        ${button(
+          `https://www.openstreetmap.org/?mlat=${content.lat}&mlon=${content.lng}#map=16/${content.lat}/${content.lng}`,
+          "Open in OpenStreetMap"
+        )}
+        ${button(`geo:${position}`, "Open in map app")}
+      `,
+    };
+  },
+  text: (content, { text }) => ({
+    title: "Text",
+    body: `
+      <p class="text">${escapeHtml(text)}</p>
+      ${copyButton(text, "Copy text")}
+    `,
+  }),
+  epc: (content) => ({
+    title: "Bank transfer",
+    body: `
+      <h2>Bank transfer</h2>
+      ${detail("Beneficiary", content.name)}
+      ${detail("IBAN", content.iban)}
+      ${detail("BIC", content.bic)}
+      ${detail("Amount", content.amount && `EUR ${content.amount}`)}
+      ${detail("Reference", content.reference || content.text)}
+      ${content.iban ? copyButton(content.iban, "Copy IBAN") : ""}
+    `,
+  }),
+  // Buttons go through the click route so each click is counted
+  links: (content, { pageUrl }) => ({
+    title: content.title || "Links",
+    body: `
+      ${
+        content.avatar
+          ? `<img class="photo" src="${escapeHtml(content.avatar)}" alt="">`
+          : ""
+      }
+      <h2>${escapeHtml(content.title || "Links")}</h2>
+      ${content.bio ? `<p class="text bio">${escapeHtml(content.bio)}</p>` : ""}
+      ${(content.links || [])
+        .map(
+          (link) =>
+            `<a class="button" href="${escapeHtml(
+              pageUrl(`link/${encodeURIComponent(link.id)}`)
+            )}" rel="noopener">${linkIcon(link.icon)}${escapeHtml(
+              link.label
+            )}</a>`
+        )
+        .join("")}
+    `,
+  }),
+};
+PAGE_BUILDERS.mecard = PAGE_BUILDERS.vcard;
+
+// Phone, email, SMS and payment links open the matching app; anything else
+// is shown as text
+const ACTION_LABELS = {
+  phone: "Call",
+  email: "Write email",
+  sms: "Send message",
+  upi: "Pay with UPI",
+  bitcoin: "Open wallet",
+};
+
+// Link of an action page, formatted from the parsed content so it always has
+// the scheme of the type (tel:, mailto:, ...) and never the raw text; null
+// when the content is incomplete
+const getActionHref = (qrType, content) => {
+  try {
+    return formatContent(qrType, content);
+  } catch (error) {
+    return null;
+  }
+};
+
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html>
+  <head>
+    <title>${escapeHtml(title)}</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex" />
+    <style>
+      body { font-family: Arial, sans-serif; max-width: 500px; margin: 0 auto; padding: 20px; text-align: center; }
+      .container { background: #f8f9fa; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1); }
+      .detail { display: flex; justify-content: space-between; gap: 10px; padding: 8px 0; border-bottom: 1px solid #dee2e6; text-align: left; word-break: break-all; }
+      .detail span { color: #6c757d; }
+      .button, button { display: block; box-sizing: border-box; width: 100%; margin-top: 12px; padding: 12px 20px; border: none; border-radius: 4px; background: #0d6efd; color: white; font-size: 16px; text-decoration: none; cursor: pointer; }
+      .text { white-space: pre-wrap; word-break: break-word; text-align: left; }
+      .hint { color: #6c757d; font-size: 14px; }
+      .photo { width: 96px; height: 96px; border-radius: 50%; object-fit: cover; }
+      .bio { text-align: center; }
+      .icon { display: inline-block; width: 20px; height: 20px; vertical-align: middle; object-fit: contain; }
+    </style>
+  </head>
+  <body>
+    <div class="container">${body}</div>
+    <script>
+      document.querySelectorAll("[data-copy]").forEach((button) => {
+        button.addEventListener("click", async () => {
+          const label = button.textContent;
+          try {
+            await navigator.clipboard.writeText(button.dataset.copy);
+            button.textContent = "Copied!";
+          } catch (error) {
+            button.textContent = "Copy failed";
+          }
+          setTimeout(() => (button.textContent = label), 2000);
+        });
+      });
+    </script>
+  </body>
+</html>`;
+
+// Landing page of a code; basePath is the tracking URL the page was served
+// from, token the access token of password protected codes
+const renderLandingPage = (qrCode, { basePath, token }) => {
+  const content = getContent(qrCode);
+  const pageUrl = (path) =>
+    `${basePath}/${path}${token ? `?token=${encodeURIComponent(token)}` : ""}`;
+  const action = ACTION_LABELS[qrCode.qrType];
+  const builder =
+    PAGE_BUILDERS[qrCode.qrType] ||
+    (action
+      ? (pageContent, { text }) => {
+          const href = getActionHref(qrCode.qrType, pageContent);
+          return {
+            title: action,
+            body: `<p class="text">${escapeHtml(text)}</p>${
+              href ? button(href, action) : ""
+            }`,
+          };
+        }
+      : PAGE_BUILDERS.text);
+  const { title, body } = builder(content, { pageUrl, text: qrCode.text });
+  return renderPage(title, body);
+};
+
+// Button of a link page by its ID
+const findLink = (qrCode, linkId) =>
+  (getContent(qrCode).links || []).find((link) => link.id === linkId) || null;
+
+module.exports = {
+  createAccessToken,
+  verifyAccessToken,
+  hasLandingPage,
+  getDownload,
+  findLink,
+  renderLandingPage,
+};
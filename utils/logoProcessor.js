@@ -0,0 +1,144 @@
+/**
+ * Logo decoding (including SVG), normalization of uploaded logos and the
+ * shape masks applied before a logo is placed on a code
+ */
+
+const Jimp = require("jimp");
+const { Resvg } = require("@resvg/resvg-js");
+const { ValidationError } = require("./errors");
+
+const LOGO_SHAPES = ["original", "rounded", "circle"];
+const MAX_LOGO_SIZE = 1024; // Longest side of a normalized logo in pixels
+const MIN_LOGO_SIZE = 16;
+
+const isSvg = (buffer) =>
+  /<svg[\s>]/i.test(buffer.subarray(0, 4096).toString("utf8"));
+
+// Rasterize an SVG so its longest side is maxSize pixels. Logos are rasterized
+// once when uploaded, so system fonts are loaded for any text they contain
+const rasterizeSvg = (buffer, maxSize = MAX_LOGO_SIZE) => {
+  const options = { font: { loadSystemFonts: true } };
+  let probe;
+  try {
+    probe = new Resvg(buffer, options);
+  } catch (error) {
+    throw new ValidationError(`Logo is not a valid SVG: ${error.message}`);
+  }
+
+  return new Resvg(buffer, {
+    ...options,
+    fitTo: {
+      mode: probe.width >= probe.height ? "width" : "height",
+      value: maxSize,
+    },
+  })
+    .render()
+    .asPng();
+};
+
+// Decode a logo from raster or SVG bytes
+const readLogo = async (buffer) => {
+  try {
+    return await Jimp.read(isSvg(buffer) ? rasterizeSvg(buffer) : buffer);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    throw new ValidationError("Logo must be a JPEG, PNG or SVG image");
+  }
+};
+
+// Convert an uploaded logo into a PNG no larger than MAX_LOGO_SIZE
+const normalizeLogo = async (buffer) => {
+  const image = await readLogo(buffer);
+  if (Math.max(image.getWidth(), image.getHeight()) < MIN_LOGO_SIZE) {
+    throw new ValidationError(
+      `Logo must be at least ${MIN_LOGO_SIZE} pixels wide or high`
+    );
+  }
+  if (Math.max(image.getWidth(), image.getHeight()) > MAX_LOGO_SIZE) {
+    image.scaleToFit(MAX_LOGO_SIZE, MAX_LOGO_SIZE);
+  }
+
+  return {
+    buffer: await image.getBufferAsync(Jimp.MIME_PNG),
+    width: image.getWidth(),
+    height: image.getHeight(),
+  };
+};
+
+// Signed distance from a point to a rounded rectangle; negative inside
+const roundedRectDistance = (px, py, box, radius) => {
+  const r = Math.min(radius, box.width / 2, box.height / 2);
+  const qx = Math.abs(px - (box.x + box.width / 2)) - (box.width / 2 - r);
+  const qy = Math.abs(py - (box.y + box.height / 2)) - (box.height / 2 - r);
+  return (
+    Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) +
+    Math.min(Math.max(qx, qy), 0) -
+    r
+  );
+};
+
+// Corner radius of a shaped logo for the given box; cornerRadius is a
+// percentage of the shorter side
+const getLogoRadius = (shape, cornerRadius, width, height) => {
+  switch (shape) {
+    case "circle":
+      return Math.min(width, height) / 2;
+    case "rounded":
+      return (Math.min(width, height) * cornerRadius) / 100;
+    default:
+      return 0;
+  }
+};
+
+// Crop a logo to a circle or round its corners, with anti-aliased edges
+const shapeLogo = (image, shape = "original", cornerRadius = 20) => {
+  if (!LOGO_SHAPES.includes(shape)) {
+    throw new ValidationError(
+      `Logo shape must be one of: ${LOGO_SHAPES.join(", ")}`
+    );
+  }
+  if (shape === "original") {
+    return image;
+  }
+
+  const shaped = image.clone();
+  if (shape === "circle") {
+    const side = Math.min(shaped.getWidth(), shaped.getHeight());
+    shaped.crop(
+      Math.floor((shaped.getWidth() - side) / 2),
+      Math.floor((shaped.getHeight() - side) / 2),
+      side,
+      side
+    );
+  }
+
+  const box = {
+    x: 0,
+    y: 0,
+    width: shaped.getWidth(),
+    height: shaped.getHeight(),
+  };
+  const radius = getLogoRadius(shape, cornerRadius, box.width, box.height);
+  shaped.scan(0, 0, box.width, box.height, (x, y, idx) => {
+    const coverage = Math.min(
+      1,
+      Math.max(0, 0.5 - roundedRectDistance(x + 0.5, y + 0.5, box, radius))
+    );
+    shaped.bitmap.data[idx + 3] = Math.round(
+      shaped.bitmap.data[idx + 3] * coverage
+    );
+  });
+
+  return shaped;
+};
+
+module.exports = {
+  LOGO_SHAPES,
+  readLogo,
+  normalizeLogo,
+  shapeLogo,
+  getLogoRadius,
+  roundedRectDistance,
+};
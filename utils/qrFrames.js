@@ -0,0 +1,296 @@
+/**
+ * Frame templates with call-to-action captions drawn around a rendered QR scene
+ */
+
+const { ValidationError } = require("./errors");
+const { parseHexColor } = require("./colors");
+const { FONTS, textToPath } = require("./fonts");
+const {
+  roundedRectPath,
+  polygonPath,
+  translatePath,
+} = require("./vectorPaths");
+
+const FRAME_STYLES = ["none", "banner", "border", "bubble", "phone"];
+const FRAME_FONTS = Object.keys(FONTS);
+
+const radii = (radius) => [radius, radius, radius, radius];
+
+const shape = (d, paint, fillRule = "nonzero") => ({
+  d,
+  paint,
+  fillRule,
+  crisp: false,
+});
+
+const caption = (frame, paint, { centerX, centerY, maxWidth, size }) =>
+  frame.text
+    ? shape(
+        textToPath(frame.text, {
+          font: frame.font,
+          bold: frame.bold !== false,
+          size,
+          centerX,
+          centerY,
+          maxWidth,
+        }),
+        paint
+      )
+    : null;
+
+// Each template receives the size of the QR image (in modules) and returns the
+// canvas size, where the QR image goes and the layers drawn underneath it.
+// Captions use textColor when they sit on the frame and the frame color otherwise.
+const TEMPLATES = {
+  // Solid frame around the code with the caption on a banner below it
+  banner: (size, frame, colors) => {
+    const border = size * 0.04;
+    const bannerHeight = size * 0.22;
+    const width = size + border * 2;
+    const height = size + border + bannerHeight;
+
+    return {
+      width,
+      height,
+      qrX: border,
+      qrY: border,
+      layers: [
+        shape(
+          roundedRectPath(0, 0, width, height, radii(size * 0.05)),
+          colors.frame
+        ),
+        caption(frame, colors.text, {
+          centerX: width / 2,
+          centerY: size + border + bannerHeight / 2,
+          maxWidth: width - border * 4,
+          size: bannerHeight * 0.5,
+        }),
+      ],
+    };
+  },
+
+  // Rounded outline around the code with the caption underneath
+  border: (size, frame, colors) => {
+    const stroke = size * 0.035;
+    const padding = size * 0.03;
+    const radius = size * 0.08;
+    const boxSize = size + (stroke + padding) * 2;
+    const captionHeight = frame.text ? size * 0.2 : 0;
+
+    return {
+      width: boxSize,
+      height: boxSize + captionHeight,
+      qrX: stroke + padding,
+      qrY: stroke + padding,
+      layers: [
+        shape(
+          roundedRectPath(0, 0, boxSize, boxSize, radii(radius)) +
+            roundedRectPath(
+              stroke,
+              stroke,
+              boxSize - stroke * 2,
+              boxSize - stroke * 2,
+              radii(radius - stroke)
+            ),
+          colors.frame,
+          "evenodd"
+        ),
+        caption(frame, colors.frame, {
+          centerX: boxSize / 2,
+          centerY: boxSize + captionHeight / 2,
+          maxWidth: boxSize,
+          size: captionHeight * 0.55,
+        }),
+      ],
+    };
+  },
+
+  // Speech bubble below the code pointing up at it
+  bubble: (size, frame, colors) => {
+    const tail = size * 0.05;
+    const bubbleHeight = size * 0.2;
+    const bubbleTop = size + tail;
+    const center = size / 2;
+
+    return {
+      width: size,
+      height: bubbleTop + bubbleHeight,
+      qrX: 0,
+      qrY: 0,
+      layers: [
+        shape(
+          roundedRectPath(0, bubbleTop, size, bubbleHeight, radii(size * 0.05)),
+          colors.frame
+        ),
+        shape(
+          polygonPath([
+            [center - tail, bubbleTop],
+            [center, size],
+            [center + tail, bubbleTop],
+          ]),
+          colors.frame
+        ),
+        caption(frame, colors.text, {
+          centerX: center,
+          centerY: bubbleTop + bubbleHeight / 2,
+          maxWidth: size * 0.9,
+          size: bubbleHeight * 0.5,
+        }),
+      ],
+    };
+  },
+
+  // Phone outline with the code and the caption on its screen
+  phone: (size, frame, colors) => {
+    const bezel = size * 0.06;
+    const topBezel = size * 0.2;
+    const bottomBezel = size * 0.2;
+    const screenPadding = size * 0.05;
+    const captionHeight = frame.text ? size * 0.2 : 0;
+    const screenWidth = size + screenPadding * 2;
+    const screenHeight = size + screenPadding * 2 + captionHeight;
+    const width = screenWidth + bezel * 2;
+    const height = topBezel + screenHeight + bottomBezel;
+    const buttonRadius = bottomBezel * 0.28;
+    const buttonCenterY = topBezel + screenHeight + bottomBezel / 2;
+
+    return {
+      width,
+      height,
+      qrX: bezel + screenPadding,
+      qrY: topBezel + screenPadding,
+      layers: [
+        shape(
+          roundedRectPath(0, 0, width, height, radii(size * 0.16)),
+          colors.frame
+        ),
+        shape(
+          roundedRectPath(
+            bezel,
+            topBezel,
+            screenWidth,
+            screenHeight,
+            radii(size * 0.03)
+          ),
+          colors.screen
+        ),
+        shape(
+          roundedRectPath(
+            width / 2 - size * 0.12,
+            topBezel / 2 - size * 0.015,
+            size * 0.24,
+            size * 0.03,
+            radii(size * 0.015)
+          ),
+          colors.screen
+        ),
+        shape(
+          roundedRectPath(
+            width / 2 - buttonRadius,
+            buttonCenterY - buttonRadius,
+            buttonRadius * 2,
+            buttonRadius * 2,
+            radii(buttonRadius)
+          ),
+          colors.screen
+        ),
+        caption(frame, colors.frame, {
+          centerX: width / 2,
+          centerY: topBezel + screenPadding + size + captionHeight / 2,
+          maxWidth: screenWidth - screenPadding * 2,
+          size: captionHeight * 0.5,
+        }),
+      ],
+    };
+  },
+};
+
+// Gradients are positioned in absolute coordinates, so they move with the code
+const translatePaint = (paint, dx, dy) => {
+  switch (paint.type) {
+    case "linear":
+      return {
+        ...paint,
+        x1: paint.x1 + dx,
+        y1: paint.y1 + dy,
+        x2: paint.x2 + dx,
+        y2: paint.y2 + dy,
+      };
+    case "radial":
+      return { ...paint, cx: paint.cx + dx, cy: paint.cy + dy };
+    default:
+      return paint;
+  }
+};
+
+// Wrap a scene in the configured frame; returns the scene unchanged without one
+const applyFrame = (scene, frame) => {
+  const style = frame?.style || "none";
+  if (!FRAME_STYLES.includes(style)) {
+    throw new ValidationError(
+      `Frame style must be one of: ${FRAME_STYLES.join(", ")}`
+    );
+  }
+  if (style === "none") {
+    return scene;
+  }
+
+  const colors = {
+    frame: { type: "solid", color: parseHexColor(frame.color, "#000000") },
+    text: { type: "solid", color: parseHexColor(frame.textColor, "#FFFFFF") },
+    screen: {
+      type: "solid",
+      color: parseHexColor(frame.backgroundColor, "#FFFFFF"),
+    },
+  };
+  const layout = TEMPLATES[style](scene.width, frame, colors);
+  const { qrX, qrY } = layout;
+
+  // Translate each paint once so layers sharing a gradient keep sharing it
+  const movedPaints = new Map();
+  const movePaint = (paint) => {
+    if (!movedPaints.has(paint)) {
+      movedPaints.set(paint, translatePaint(paint, qrX, qrY));
+    }
+    return movedPaints.get(paint);
+  };
+
+  const qrLayers = scene.layers.map((layer) => ({
+    ...layer,
+    d: translatePath(layer.d, qrX, qrY),
+    paint: movePaint(layer.paint),
+  }));
+
+  // The code keeps its own background inside the frame
+  if (scene.background) {
+    qrLayers.unshift({
+      d: roundedRectPath(qrX, qrY, scene.width, scene.height),
+      paint: { type: "solid", color: scene.background },
+      fillRule: "nonzero",
+      crisp: true,
+    });
+  }
+
+  return {
+    ...scene,
+    width: layout.width,
+    height: layout.height,
+    background: scene.background ? colors.screen.color : null,
+    layers: [...layout.layers.filter(Boolean), ...qrLayers],
+    logo: scene.logo && {
+      ...scene.logo,
+      box: {
+        ...scene.logo.box,
+        x: scene.logo.box.x + qrX,
+        y: scene.logo.box.y + qrY,
+      },
+    },
+    qrBox: { x: qrX, y: qrY, size: scene.width },
+  };
+};
+
+module.exports = {
+  FRAME_STYLES,
+  FRAME_FONTS,
+  applyFrame,
+};
@@ -0,0 +1,1228 @@
+/**
+ * Rendering of QR codes into raster (PNG, JPEG) and vector (SVG, PDF, EPS) images
+ */
+
+const QRCode = require("qrcode");
+const QRVersion = require("qrcode/lib/core/version");
+const QRMode = require("qrcode/lib/core/mode");
+const QRErrorCorrectionLevel = require("qrcode/lib/core/error-correction-level");
+const { getSymbolTotalCodewords } = require("qrcode/lib/core/utils");
+const {
+  getTotalCodewordsCount,
+} = require("qrcode/lib/core/error-correction-code");
+const Jimp = require("jimp");
+const PDFDocument = require("pdfkit");
+const { Resvg } = require("@resvg/resvg-js");
+const path = require("path");
+const fs = require("fs-extra");
+const { ValidationError } = require("./errors");
+const { parseHexColor, toHex } = require("./colors");
+const { roundedRectPath } = require("./vectorPaths");
+const { applyFrame, FRAME_STYLES, FRAME_FONTS } = require("./qrFrames");
+const { textToPath } = require("./fonts");
+const {
+  SYMBOLOGY_NAMES,
+  getSymbology,
+  getEanCheckDigit,
+  encodeMatrix,
+  encodeBars,
+} = require("./symbologies");
+const {
+  LOGO_SHAPES,
+  readLogo,
+  shapeLogo,
+  getLogoRadius,
+  roundedRectDistance,
+} = require("./logoProcessor");
+
+const FORMATS = {
+  png: { mimeType: "image/png", extension: "png", vector: false },
+  jpeg: { mimeType: "image/jpeg", extension: "jpg", vector: false },
+  svg: { mimeType: "image/svg+xml", extension: "svg", vector: true },
+  pdf: { mimeType: "application/pdf", extension: "pdf", vector: true },
+  eps: { mimeType: "application/postscript", extension: "eps", vector: true },
+};
+
+const DEFAULT_SIZE = 1024;
+const MIN_SIZE = 64;
+const MAX_SIZE = 4096;
+const DEFAULT_DPI = 300;
+const MAX_DPI = 1200;
+// Vector output is only bounded by its physical size: a quarter inch up to
+// 200 inches, the largest page a PDF can describe
+const MIN_VECTOR_POINTS = 18;
+const MAX_VECTOR_POINTS = 14400;
+// Logo width as a percentage of the full image width
+const DEFAULT_LOGO_SIZE = 25;
+const MIN_LOGO_SIZE = 5;
+const MAX_LOGO_SIZE = 40;
+const DEFAULT_LOGO_CORNER_RADIUS = 20; // Percentage of the shorter logo side
+const DEFAULT_PLATE_PADDING = 10; // Percentage of the logo width
+const MAX_PLATE_PADDING = 50;
+const MAX_EPS_LOGO_SIZE = 512; // EPS embeds the logo as uncompressed hex, so cap its resolution
+
+const MODULE_STYLES = ["square", "rounded", "dots", "classy"];
+const EYE_SHAPES = ["square", "rounded", "circle", "leaf"];
+const EYE_POSITIONS = ["topLeft", "topRight", "bottomLeft"];
+const GRADIENT_TYPES = ["linear", "radial"];
+const FINDER_SIZE = 7;
+const LINEAR_QUIET_ZONE = 10; // Minimum blank modules left and right of linear barcodes
+const LINEAR_TEXT_SIZE = 10; // Human-readable text height in modules
+const LINEAR_TEXT_GAP = 1.5;
+const ERROR_CORRECTION_LEVELS = ["L", "M", "Q", "H"];
+const DEFAULT_ERROR_CORRECTION_LEVEL = "H";
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Corner radii per eye shape for the outer ring, its hole and the inner ball
+const EYE_RADII = {
+  square: [0, 0, 0],
+  rounded: [2, 1.25, 1],
+  circle: [3.5, 2.5, 1.5],
+  leaf: [3, 2, 1.25],
+};
+
+const UNIT_TO_INCHES = {
+  in: 1,
+  cm: 1 / 2.54,
+  mm: 1 / 25.4,
+  pt: 1 / 72,
+};
+
+// Turn request options into a pixel size for raster output and a point size for vector output.
+// Only raster output is limited in pixels; vector output is limited in points
+const resolveDimensions = ({
+  size,
+  width,
+  unit = "in",
+  dpi,
+  format = "png",
+} = {}) => {
+  const parsedDpi = dpi !== undefined ? parseInt(dpi) : null;
+  if (
+    parsedDpi !== null &&
+    (isNaN(parsedDpi) || parsedDpi < 1 || parsedDpi > MAX_DPI)
+  ) {
+    throw new ValidationError(`dpi must be between 1 and ${MAX_DPI}`);
+  }
+
+  let pixels;
+  let points;
+  let physical = false;
+
+  if (width !== undefined) {
+    const physicalWidth = parseFloat(width);
+    if (!UNIT_TO_INCHES[unit]) {
+      throw new ValidationError(
+        `unit must be one of: ${Object.keys(UNIT_TO_INCHES).join(", ")}`
+      );
+    }
+    if (isNaN(physicalWidth) || physicalWidth <= 0) {
+      throw new ValidationError("width must be a positive number");
+    }
+    const inches = physicalWidth * UNIT_TO_INCHES[unit];
+    pixels = Math.round(inches * (parsedDpi || DEFAULT_DPI));
+    points = inches * 72;
+    physical = true;
+  } else {
+    pixels = size !== undefined ? parseInt(size) : DEFAULT_SIZE;
+    if (isNaN(pixels)) {
+      throw new ValidationError("size must be an integer number of pixels");
+    }
+    // Without a physical size one pixel maps to one point unless a DPI is given
+    points = (pixels * 72) / (parsedDpi || 72);
+    physical = parsedDpi !== null;
+  }
+
+  if (FORMATS[String(format).toLowerCase()]?.vector) {
+    if (points < MIN_VECTOR_POINTS || points > MAX_VECTOR_POINTS) {
+      throw new ValidationError(
+        `Printed size must be between ${MIN_VECTOR_POINTS / 72} and ${
+          MAX_VECTOR_POINTS / 72
+        } inches (got ${+(points / 72).toFixed(2)})`
+      );
+    }
+  } else if (pixels < MIN_SIZE || pixels > MAX_SIZE) {
+    throw new ValidationError(
+      `Rendered size must be between ${MIN_SIZE} and ${MAX_SIZE} pixels (got ${pixels})`
+    );
+  }
+
+  return { pixels, points, physical };
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const getColors = (customization = {}) => ({
+  dark: parseHexColor(customization.color, "#000000"),
+  light: parseHexColor(customization.backgroundColor, "#FFFFFF"),
+});
+
+const parseVersion = (value, name) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const version = Number(value);
+  if (
+    !Number.isInteger(version) ||
+    version < MIN_VERSION ||
+    version > MAX_VERSION
+  ) {
+    throw new ValidationError(
+      `${name} must be an integer between ${MIN_VERSION} and ${MAX_VERSION}`
+    );
+  }
+  return version;
+};
+
+// Encode the content with the requested error correction level and version.
+// A fixed version wins over a minimum one; without either the smallest fitting
+// version is used.
+const createSymbol = (text, customization = {}) => {
+  const errorCorrectionLevel = String(
+    customization.errorCorrectionLevel || DEFAULT_ERROR_CORRECTION_LEVEL
+  ).toUpperCase();
+  if (!ERROR_CORRECTION_LEVELS.includes(errorCorrectionLevel)) {
+    throw new ValidationError(
+      `Error correction level must be one of: ${ERROR_CORRECTION_LEVELS.join(
+        ", "
+      )}`
+    );
+  }
+  const version = parseVersion(customization.version, "version");
+  const minVersion = parseVersion(customization.minVersion, "minVersion");
+
+  if (!text) {
+    throw new ValidationError("QR code content cannot be empty");
+  }
+
+  let smallest;
+  try {
+    smallest = QRCode.create(text, { errorCorrectionLevel });
+  } catch (error) {
+    const maxBytes = QRVersion.getCapacity(
+      MAX_VERSION,
+      QRErrorCorrectionLevel.from(errorCorrectionLevel),
+      QRMode.BYTE
+    );
+    throw new ValidationError(
+      `Content is too long for a QR code with error correction level ${errorCorrectionLevel} (at most ${maxBytes} bytes)`
+    );
+  }
+
+  const targetVersion =
+    version || (minVersion > smallest.version ? minVersion : null);
+  if (!targetVersion || targetVersion === smallest.version) {
+    return { qr: smallest, errorCorrectionLevel };
+  }
+  if (targetVersion < smallest.version) {
+    throw new ValidationError(
+      `Content does not fit in version ${targetVersion} with error correction level ${errorCorrectionLevel}; it needs at least version ${smallest.version}`
+    );
+  }
+
+  return {
+    qr: QRCode.create(text, { errorCorrectionLevel, version: targetVersion }),
+    errorCorrectionLevel,
+  };
+};
+
+// Version, size and data capacity of the symbol encoding the given content;
+// other symbologies only report their size
+const getSymbolInfo = (text, customization = {}) => {
+  const symbology = getSymbology(customization.symbology);
+  if (symbology.linear) {
+    const { width } = encodeBars(text, symbology);
+    return { symbology: symbology.id, columns: width, rows: 1 };
+  }
+  if (symbology.id !== "qr") {
+    const { columns, rows } = encodeMatrix(text, symbology);
+    return { symbology: symbology.id, columns, rows };
+  }
+
+  const { qr, errorCorrectionLevel } = createSymbol(text, customization);
+  const capacityBits =
+    (getSymbolTotalCodewords(qr.version) -
+      getTotalCodewordsCount(qr.version, qr.errorCorrectionLevel)) *
+    8;
+  // Each segment carries a 4-bit mode indicator and a character count
+  const usedBits = qr.segments.reduce(
+    (total, segment) =>
+      total +
+      4 +
+      QRMode.getCharCountIndicator(segment.mode, qr.version) +
+      segment.getBitsLength(),
+    0
+  );
+  const remainingBits = capacityBits - usedBits;
+
+  return {
+    symbology: "qr",
+    version: qr.version,
+    moduleCount: qr.modules.size,
+    errorCorrectionLevel,
+    capacityBits,
+    usedBits,
+    remainingBits,
+    remainingBytes: Math.floor(remainingBits / 8),
+  };
+};
+
+// Build the module matrix for the given content
+const createMatrix = (text, customization = {}) => {
+  const { qr, errorCorrectionLevel } = createSymbol(text, customization);
+  const moduleCount = qr.modules.size;
+  const margin = customization.margin || 4;
+  const inBounds = (row, col) =>
+    row >= 0 && col >= 0 && row < moduleCount && col < moduleCount;
+
+  return {
+    qr,
+    errorCorrectionLevel,
+    moduleCount,
+    columns: moduleCount,
+    rows: moduleCount,
+    moduleHeight: 1,
+    margin,
+    totalSize: moduleCount + margin * 2,
+    totalWidth: moduleCount + margin * 2,
+    totalHeight: moduleCount + margin * 2,
+    isDark: (row, col) =>
+      inBounds(row, col) && Boolean(qr.modules.get(row, col)),
+    // Modules belonging to one of the three 7x7 finder patterns ("eyes")
+    isFinder: (row, col) =>
+      (row < FINDER_SIZE && col < FINDER_SIZE) ||
+      (row < FINDER_SIZE && col >= moduleCount - FINDER_SIZE) ||
+      (row >= moduleCount - FINDER_SIZE && col < FINDER_SIZE),
+  };
+};
+
+// Module matrix of a 2D symbology other than QR
+const createBarcodeMatrix = (text, customization, symbology) => {
+  const { columns, rows, moduleHeight, isDark } = encodeMatrix(text, symbology);
+  const margin = customization.margin || 4;
+
+  return {
+    errorCorrectionLevel: null,
+    columns,
+    rows,
+    moduleHeight,
+    margin,
+    totalWidth: columns + margin * 2,
+    totalHeight: rows * moduleHeight + margin * 2,
+    isDark,
+    isFinder: () => false,
+  };
+};
+
+// Path covering the dark data modules (finder patterns are drawn separately)
+const getModulePath = (matrix, moduleStyle) => {
+  const { columns, rows, moduleHeight, margin, isDark, isFinder } = matrix;
+  const parts = [];
+
+  for (let row = 0; row < rows; row++) {
+    const y = row * moduleHeight + margin;
+    let runStart = -1;
+    for (let col = 0; col <= columns; col++) {
+      const dark = col < columns && isDark(row, col) && !isFinder(row, col);
+
+      if (moduleStyle === "square") {
+        // Merge horizontal runs to keep square output small
+        if (dark && runStart === -1) {
+          runStart = col;
+        } else if (!dark && runStart !== -1) {
+          parts.push(
+            roundedRectPath(runStart + margin, y, col - runStart, moduleHeight)
+          );
+          runStart = -1;
+        }
+        continue;
+      }
+
+      if (!dark) continue;
+
+      const x = col + margin;
+      const up = isDark(row - 1, col);
+      const down = isDark(row + 1, col);
+      const left = isDark(row, col - 1);
+      const right = isDark(row, col + 1);
+
+      switch (moduleStyle) {
+        case "dots":
+          parts.push(
+            roundedRectPath(
+              x + 0.05,
+              y + 0.05,
+              0.9,
+              moduleHeight - 0.1,
+              [0.45, 0.45, 0.45, 0.45]
+            )
+          );
+          break;
+        case "rounded":
+          // Round only the corners that do not touch a neighbouring module
+          parts.push(
+            roundedRectPath(x, y, 1, moduleHeight, [
+              !up && !left ? 0.5 : 0,
+              !up && !right ? 0.5 : 0,
+              !down && !right ? 0.5 : 0,
+              !down && !left ? 0.5 : 0,
+            ])
+          );
+          break;
+        case "classy":
+          parts.push(
+            roundedRectPath(x, y, 1, moduleHeight, [
+              !up && !left ? 0.5 : 0,
+              0,
+              !down && !right ? 0.5 : 0,
+              0,
+            ])
+          );
+          break;
+      }
+    }
+  }
+
+  return parts.join("");
+};
+
+const getCornerRadii = (shape, radius) =>
+  shape === "leaf" ? [radius, 0, radius, 0] : [radius, radius, radius, radius];
+
+// Layers for the three finder patterns, each with its own shapes and colors
+const getEyeLayers = (matrix, eyes = {}, modulePaint) => {
+  const { moduleCount, margin } = matrix;
+  const far = margin + moduleCount - FINDER_SIZE;
+  const origins = {
+    topLeft: [margin, margin],
+    topRight: [far, margin],
+    bottomLeft: [margin, far],
+  };
+
+  return EYE_POSITIONS.flatMap((position) => {
+    const eye = eyes[position] || {};
+    const outerShape = eye.outerShape || "square";
+    const innerShape = eye.innerShape || outerShape;
+
+    [outerShape, innerShape].forEach((shape) => {
+      if (!EYE_SHAPES.includes(shape)) {
+        throw new ValidationError(
+          `Eye shape must be one of: ${EYE_SHAPES.join(", ")}`
+        );
+      }
+    });
+
+    const [x, y] = origins[position];
+    const [outerRadius, holeRadius] = EYE_RADII[outerShape];
+    const [, , ballRadius] = EYE_RADII[innerShape];
+
+    return [
+      {
+        d:
+          roundedRectPath(x, y, 7, 7, getCornerRadii(outerShape, outerRadius)) +
+          roundedRectPath(
+            x + 1,
+            y + 1,
+            5,
+            5,
+            getCornerRadii(outerShape, holeRadius)
+          ),
+        paint: eye.outerColor ? createSolidPaint(eye.outerColor) : modulePaint,
+        fillRule: "evenodd",
+        crisp: outerShape === "square",
+      },
+      {
+        d: roundedRectPath(
+          x + 2,
+          y + 2,
+          3,
+          3,
+          getCornerRadii(innerShape, ballRadius)
+        ),
+        paint: eye.innerColor ? createSolidPaint(eye.innerColor) : modulePaint,
+        fillRule: "nonzero",
+        crisp: innerShape === "square",
+      },
+    ];
+  });
+};
+
+const createSolidPaint = (color) => ({
+  type: "solid",
+  color: parseHexColor(color, "#000000"),
+});
+
+// Gradient spanning the symbol inside the given canvas, in module coordinates
+const createGradientPaint = (
+  gradient,
+  { width, height, symbolWidth, symbolHeight }
+) => {
+  if (!GRADIENT_TYPES.includes(gradient.type)) {
+    throw new ValidationError(
+      `Gradient type must be one of: ${GRADIENT_TYPES.join(", ")}`
+    );
+  }
+
+  const colorStops = gradient.colorStops || [];
+  if (colorStops.length < 2) {
+    throw new ValidationError("A gradient needs at least two color stops");
+  }
+
+  // Missing offsets are spread evenly; the result always runs from 0 to 1
+  const stops = colorStops
+    .map((stop, index) => ({
+      offset: Math.min(
+        1,
+        Math.max(
+          0,
+          typeof stop.offset === "number"
+            ? stop.offset
+            : index / (colorStops.length - 1)
+        )
+      ),
+      color: parseHexColor(stop.color),
+    }))
+    .sort((a, b) => a.offset - b.offset);
+  if (stops[0].offset > 0) {
+    stops.unshift({ offset: 0, color: stops[0].color });
+  }
+  if (stops[stops.length - 1].offset < 1) {
+    stops.push({ offset: 1, color: stops[stops.length - 1].color });
+  }
+
+  const centerX = width / 2;
+  const centerY = height / 2;
+
+  if (gradient.type === "radial") {
+    return {
+      type: "radial",
+      stops,
+      cx: centerX,
+      cy: centerY,
+      r: Math.hypot(symbolWidth, symbolHeight) / 2,
+    };
+  }
+
+  const angle = ((gradient.rotation || 0) * Math.PI) / 180;
+  const dx = (Math.cos(angle) * symbolWidth) / 2;
+  const dy = (Math.sin(angle) * symbolHeight) / 2;
+  return {
+    type: "linear",
+    stops,
+    x1: centerX - dx,
+    y1: centerY - dy,
+    x2: centerX + dx,
+    y2: centerY + dy,
+  };
+};
+
+// Load a logo given either as a base64 data URL or as a path under uploads/logos
+const loadLogoImage = async (logo) => {
+  if (!logo || typeof logo !== "string" || logo.trim() === "") {
+    return null;
+  }
+
+  if (logo.startsWith("data:image") && logo.includes(";base64,")) {
+    const base64Data = logo.split(";base64,").pop();
+    return readLogo(Buffer.from(base64Data, "base64"));
+  }
+
+  const logoFilename = path.basename(logo);
+  const logoDir = path.resolve(__dirname, "..", "uploads", "logos");
+  const logoPath = path.join(logoDir, logoFilename);
+
+  if (!fs.existsSync(logoPath)) {
+    console.error(
+      `[loadLogoImage] Logo file not found at: ${logoPath}. Original logo value: ${logo}`
+    );
+    throw new ValidationError("Logo file not found; upload the logo again");
+  }
+  // Logos uploaded before normalization may still be SVG files
+  return readLogo(await fs.readFile(logoPath));
+};
+
+// Centered logo box in the coordinate space of a square of the given size
+const getLogoBox = (canvasSize, logoImage, ratio) => {
+  const width = canvasSize * ratio;
+  const height = (width * logoImage.getHeight()) / logoImage.getWidth();
+  return {
+    x: (canvasSize - width) / 2,
+    y: (canvasSize - height) / 2,
+    width,
+    height,
+  };
+};
+
+const getPercentage = (value, fallback, min, max, name) => {
+  const percentage = value === undefined || value === null ? fallback : value;
+  if (typeof percentage !== "number" || percentage < min || percentage > max) {
+    throw new ValidationError(
+      `${name} must be a percentage between ${min} and ${max}`
+    );
+  }
+  return percentage;
+};
+
+// Area of a rounded rectangle
+const getRegionArea = ({ box, radius }) =>
+  box.width * box.height - (4 - Math.PI) * radius * radius;
+
+// Shaped logo, its box and the optional plate behind it, in module coordinates.
+// The region is the area the logo hides, used to clear modules underneath it.
+const placeLogo = async (matrix, customization) => {
+  const logoImage = await loadLogoImage(customization.logo);
+  if (!logoImage) {
+    return null;
+  }
+
+  const style = customization.logoStyle || {};
+  const size = getPercentage(
+    style.size,
+    DEFAULT_LOGO_SIZE,
+    MIN_LOGO_SIZE,
+    MAX_LOGO_SIZE,
+    "Logo size"
+  );
+  const cornerRadius = getPercentage(
+    style.cornerRadius,
+    DEFAULT_LOGO_CORNER_RADIUS,
+    0,
+    50,
+    "Logo corner radius"
+  );
+  const shape = style.shape || "original";
+  if (!LOGO_SHAPES.includes(shape)) {
+    throw new ValidationError(
+      `Logo shape must be one of: ${LOGO_SHAPES.join(", ")}`
+    );
+  }
+
+  const image = shapeLogo(logoImage, shape, cornerRadius);
+  const box = getLogoBox(matrix.totalSize, image, size / 100);
+  const logo = {
+    image,
+    box,
+    radius: getLogoRadius(shape, cornerRadius, box.width, box.height),
+    plate: null,
+  };
+
+  if (style.plate?.enabled) {
+    const padding =
+      (box.width *
+        getPercentage(
+          style.plate.padding,
+          DEFAULT_PLATE_PADDING,
+          0,
+          MAX_PLATE_PADDING,
+          "Logo plate padding"
+        )) /
+      100;
+    logo.plate = {
+      box: {
+        x: box.x - padding,
+        y: box.y - padding,
+        width: box.width + padding * 2,
+        height: box.height + padding * 2,
+      },
+      radius: logo.radius && logo.radius + padding,
+      paint: createSolidPaint(style.plate.color || "#FFFFFF"),
+    };
+  }
+
+  logo.region =
+    logo.plate ||
+    (style.clearModules ? { box: logo.box, radius: logo.radius } : null);
+  return logo;
+};
+
+// Hide the data modules under the logo; finder patterns are always kept
+const clearModulesUnder = (matrix, { box, radius }) => ({
+  ...matrix,
+  isDark: (row, col) =>
+    matrix.isDark(row, col) &&
+    (matrix.isFinder(row, col) ||
+      roundedRectDistance(
+        col + matrix.margin + 0.5,
+        row + matrix.margin + 0.5,
+        box,
+        radius
+      ) >= 0.5),
+});
+
+// Bars and human-readable text of a linear barcode, laid out on their canvas
+const getLinearLayout = (content, customization, symbology) => {
+  const { bars, width } = encodeBars(content, symbology);
+  const margin = customization.margin || 4;
+  const quietZone = Math.max(margin, LINEAR_QUIET_ZONE);
+  const barHeight = symbology.barHeight || Math.max(40, width * 0.15);
+  const textTop = margin + barHeight + LINEAR_TEXT_GAP;
+  const textCenterY = textTop + LINEAR_TEXT_SIZE / 2;
+  const caption = (value, centerX, maxWidth) =>
+    textToPath(value, {
+      size: LINEAR_TEXT_SIZE,
+      centerX,
+      centerY: textCenterY,
+      maxWidth,
+    });
+
+  const barPath = bars
+    .map((bar) =>
+      roundedRectPath(
+        quietZone + bar.x,
+        margin,
+        bar.width,
+        barHeight + (bar.extended ? LINEAR_TEXT_SIZE / 2 : 0)
+      )
+    )
+    .join("");
+
+  let textPath;
+  if (symbology.id === "ean13") {
+    // Leading digit in the quiet zone, then six digits under each half
+    const digits =
+      content.length === 12 ? content + getEanCheckDigit(content) : content;
+    const digitCenter = (index) =>
+      quietZone + (index < 7 ? 3 : 8) + 7 * (index - 1) + 3.5;
+    textPath = [...digits]
+      .map((digit, index) =>
+        index === 0
+          ? caption(digit, quietZone - 4, 6)
+          : caption(digit, digitCenter(index), 6)
+      )
+      .join("");
+  } else {
+    textPath = caption(content, quietZone + width / 2, width);
+  }
+
+  return {
+    width: quietZone * 2 + width,
+    height: textTop + LINEAR_TEXT_SIZE + margin,
+    symbolWidth: width,
+    symbolHeight: barHeight,
+    barPath,
+    textPath,
+  };
+};
+
+// Scene of a linear barcode; module styles, eyes and logos do not apply
+const buildLinearScene = (content, customization, symbology) => {
+  const layout = getLinearLayout(content, customization, symbology);
+  const { dark, light } = getColors(customization);
+  const paint = customization.gradient?.type
+    ? createGradientPaint(customization.gradient, layout)
+    : { type: "solid", color: dark };
+  const background = customization.transparentBackground ? null : light;
+
+  return {
+    symbology: symbology.id,
+    matrix: null,
+    width: layout.width,
+    height: layout.height,
+    background,
+    qrBackground: background,
+    qrPaints: [paint],
+    layers: [
+      { d: layout.barPath, paint, fillRule: "nonzero", crisp: true },
+      { d: layout.textPath, paint, fillRule: "nonzero", crisp: false },
+    ],
+    logo: null,
+    qrBox: { x: 0, y: 0, size: layout.width },
+  };
+};
+
+// Describe everything to draw, in module coordinates, independently of the output format
+const buildScene = async (text, customization = {}) => {
+  const symbology = getSymbology(customization.symbology);
+  const frameStyle = customization.frame?.style || "none";
+
+  if (symbology.linear) {
+    if (frameStyle !== "none") {
+      throw new ValidationError(
+        `Frames are not available for ${symbology.name} barcodes`
+      );
+    }
+    return buildLinearScene(text, customization, symbology);
+  }
+
+  const isQR = symbology.id === "qr";
+  let matrix = isQR
+    ? createMatrix(text, customization)
+    : createBarcodeMatrix(text, customization, symbology);
+  if (frameStyle !== "none" && matrix.totalWidth !== matrix.totalHeight) {
+    throw new ValidationError(
+      `Frames are only available for square symbols, not ${symbology.name}`
+    );
+  }
+  const moduleStyle = customization.moduleStyle || "square";
+  if (!MODULE_STYLES.includes(moduleStyle)) {
+    throw new ValidationError(
+      `Module style must be one of: ${MODULE_STYLES.join(", ")}`
+    );
+  }
+
+  // Logos rely on QR error correction, so other symbologies are drawn without one
+  const logo = symbology.logo ? await placeLogo(matrix, customization) : null;
+  if (logo?.region && customization.logoStyle?.clearModules) {
+    matrix = clearModulesUnder(matrix, logo.region);
+  }
+
+  const { dark, light } = getColors(customization);
+  const modulePaint = customization.gradient?.type
+    ? createGradientPaint(customization.gradient, {
+        width: matrix.totalWidth,
+        height: matrix.totalHeight,
+        symbolWidth: matrix.columns,
+        symbolHeight: matrix.rows * matrix.moduleHeight,
+      })
+    : { type: "solid", color: dark };
+
+  const layers = [
+    {
+      d: getModulePath(matrix, moduleStyle),
+      paint: modulePaint,
+      fillRule: "nonzero",
+      crisp: moduleStyle === "square",
+    },
+    ...(isQR
+      ? getEyeLayers(matrix, customization.eyes || {}, modulePaint)
+      : []),
+  ];
+  // Colors of the code itself, kept when a frame changes the canvas
+  const qrPaints = [...new Set(layers.map((layer) => layer.paint))];
+
+  if (logo?.plate) {
+    const { box, radius, paint } = logo.plate;
+    layers.push({
+      d: roundedRectPath(box.x, box.y, box.width, box.height, [
+        radius,
+        radius,
+        radius,
+        radius,
+      ]),
+      paint,
+      fillRule: "nonzero",
+      crisp: false,
+    });
+  }
+
+  return applyFrame(
+    {
+      symbology: symbology.id,
+      matrix,
+      width: matrix.totalWidth,
+      height: matrix.totalHeight,
+      background: customization.transparentBackground ? null : light,
+      qrBackground: customization.transparentBackground ? null : light,
+      qrPaints,
+      layers,
+      logo: logo && {
+        image: logo.image,
+        box: logo.box,
+        radius: logo.radius,
+        // Color behind the logo for formats without transparency
+        matte: logo.plate?.paint.color || null,
+        // Symbol area hidden behind the plate or the cleared modules, if any
+        hiddenArea: logo.region ? getRegionArea(logo.region) : null,
+      },
+      qrBox: { x: 0, y: 0, size: matrix.totalWidth },
+    },
+    customization.frame
+  );
+};
+
+// Output width and height for a scene; dimensions always describe the width
+const getOutputSize = (scene, value) => [
+  value,
+  (value * scene.height) / scene.width,
+];
+
+const sceneToSVG = async (scene, dimensions) => {
+  const { width, height } = scene;
+  const [outputWidth, outputHeight] = dimensions.physical
+    ? getOutputSize(scene, dimensions.points).map(
+        (points) => `${+points.toFixed(3)}pt`
+      )
+    : getOutputSize(scene, dimensions.pixels).map((pixels) =>
+        Math.round(pixels)
+      );
+  const gradientIds = new Map();
+  let defs = "";
+
+  const getFill = (paint) => {
+    if (paint.type === "solid") {
+      return `fill="${toHex(paint.color)}" fill-opacity="${paint.color.a}"`;
+    }
+    if (!gradientIds.has(paint)) {
+      const id = `gradient${gradientIds.size}`;
+      const stops = paint.stops
+        .map(
+          (stop) =>
+            `<stop offset="${stop.offset}" stop-color="${toHex(
+              stop.color
+            )}" stop-opacity="${stop.color.a}"/>`
+        )
+        .join("");
+      defs +=
+        paint.type === "radial"
+          ? `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${paint.cx}" cy="${paint.cy}" r="${paint.r}">${stops}</radialGradient>\n`
+          : `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${paint.x1}" y1="${paint.y1}" x2="${paint.x2}" y2="${paint.y2}">${stops}</linearGradient>\n`;
+      gradientIds.set(paint, id);
+    }
+    return `fill="url(#${gradientIds.get(paint)})"`;
+  };
+
+  let body = "";
+  if (scene.background) {
+    body += `<rect width="${width}" height="${height}" fill="${toHex(
+      scene.background
+    )}" fill-opacity="${scene.background.a}"/>\n`;
+  }
+  scene.layers.forEach((layer) => {
+    if (!layer.d) return;
+    body += `<path d="${layer.d}" ${getFill(layer.paint)} fill-rule="${
+      layer.fillRule
+    }" shape-rendering="${
+      layer.crisp ? "crispEdges" : "geometricPrecision"
+    }"/>\n`;
+  });
+  if (scene.logo) {
+    const { box } = scene.logo;
+    const href = escapeXml(
+      await scene.logo.image.getBase64Async(Jimp.MIME_PNG)
+    );
+    body += `<image x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" href="${href}" xlink:href="${href}" preserveAspectRatio="xMidYMid meet"/>\n`;
+  }
+
+  let svg = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+  svg += `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${width} ${height}">\n`;
+  if (defs) {
+    svg += `<defs>\n${defs}</defs>\n`;
+  }
+  svg += body;
+  svg += "</svg>\n";
+  return svg;
+};
+
+// Raster formats are produced by rasterizing the SVG so every style renders identically
+const renderRaster = async (scene, dimensions, format) => {
+  const svg = await sceneToSVG(scene, { ...dimensions, physical: false });
+  const png = new Resvg(svg, {
+    fitTo: { mode: "width", value: dimensions.pixels },
+    font: { loadSystemFonts: false },
+  })
+    .render()
+    .asPng();
+
+  if (format === "png") {
+    return png;
+  }
+
+  // JPEG has no alpha channel, so flatten onto the background (or white)
+  const image = await Jimp.read(png);
+  const background = scene.background || { r: 255, g: 255, b: 255 };
+  const flattened = new Jimp(
+    image.getWidth(),
+    image.getHeight(),
+    Jimp.rgbaToInt(background.r, background.g, background.b, 255)
+  ).composite(image, 0, 0);
+  return flattened.getBufferAsync(FORMATS[format].mimeType);
+};
+
+// Draw a scene onto a PDFKit document with its top-left corner at (x, y),
+// scaled to the given width in points
+const drawSceneOnPDF = async (doc, scene, { x = 0, y = 0, width }) => {
+  const logoBuffer = scene.logo
+    ? await scene.logo.image.getBufferAsync(Jimp.MIME_PNG)
+    : null;
+
+  doc.save();
+  // Draw in module coordinates
+  doc.translate(x, y).scale(width / scene.width);
+
+  const toColor = ({ r, g, b }) => [r, g, b];
+  const applyPaint = (paint) => {
+    if (paint.type === "solid") {
+      doc.fillOpacity(paint.color.a);
+      return toColor(paint.color);
+    }
+    const gradient =
+      paint.type === "radial"
+        ? doc.radialGradient(paint.cx, paint.cy, 0, paint.cx, paint.cy, paint.r)
+        : doc.linearGradient(paint.x1, paint.y1, paint.x2, paint.y2);
+    paint.stops.forEach((stop) =>
+      gradient.stop(stop.offset, toColor(stop.color), stop.color.a)
+    );
+    doc.fillOpacity(1);
+    return gradient;
+  };
+
+  if (scene.background) {
+    doc
+      .rect(0, 0, scene.width, scene.height)
+      .fill(applyPaint({ type: "solid", color: scene.background }));
+  }
+
+  scene.layers.forEach((layer) => {
+    if (!layer.d) return;
+    const fill = applyPaint(layer.paint);
+    doc.path(layer.d).fill(fill, layer.fillRule);
+  });
+
+  if (logoBuffer) {
+    const { box } = scene.logo;
+    doc.fillOpacity(1).image(logoBuffer, box.x, box.y, {
+      width: box.width,
+      height: box.height,
+    });
+  }
+
+  doc.restore();
+};
+
+// Collect a PDFKit document into a buffer once it ends
+const collectPDF = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+const renderPDF = async (scene, dimensions) => {
+  const [pageWidth, pageHeight] = getOutputSize(scene, dimensions.points);
+  const doc = new PDFDocument({
+    size: [pageWidth, pageHeight],
+    margin: 0,
+    info: { Title: "QR Code", Creator: "qr-generator-backend" },
+  });
+  const output = collectPDF(doc);
+
+  await drawSceneOnPDF(doc, scene, { width: pageWidth });
+  doc.end();
+  return output;
+};
+
+// Convert an M/L/C/Z path into PostScript path construction operators
+const pathToPostScript = (d) =>
+  (d.match(/[MLCZ][^MLCZ]*/g) || [])
+    .map((segment) => {
+      const args = segment.slice(1).trim();
+      switch (segment[0]) {
+        case "M":
+          return `${args} moveto`;
+        case "L":
+          return `${args} lineto`;
+        case "C":
+          return `${args} curveto`;
+        default:
+          return "closepath";
+      }
+    })
+    .join("\n");
+
+const psColor = ({ r, g, b }) =>
+  [r, g, b].map((c) => (c / 255).toFixed(4)).join(" ");
+
+// PostScript Level 3 shading dictionary for a gradient paint
+const gradientToPostScript = (paint) => {
+  const segments = [];
+  for (let i = 0; i < paint.stops.length - 1; i++) {
+    const from = paint.stops[i];
+    const to = paint.stops[i + 1];
+    if (to.offset <= from.offset && segments.length) continue;
+    segments.push({ from, to });
+  }
+
+  const functions = segments.map(
+    ({ from, to }) =>
+      `<< /FunctionType 2 /Domain [0 1] /C0 [${psColor(
+        from.color
+      )}] /C1 [${psColor(to.color)}] /N 1 >>`
+  );
+  const fn =
+    functions.length === 1
+      ? functions[0]
+      : `<< /FunctionType 3 /Domain [0 1] /Functions [${functions.join(
+          " "
+        )}] /Bounds [${segments
+          .slice(1)
+          .map((segment) => segment.from.offset)
+          .join(" ")}] /Encode [${segments.map(() => "0 1").join(" ")}] >>`;
+
+  const coords =
+    paint.type === "radial"
+      ? `${paint.cx} ${paint.cy} 0 ${paint.cx} ${paint.cy} ${paint.r}`
+      : `${paint.x1} ${paint.y1} ${paint.x2} ${paint.y2}`;
+
+  return `<< /ShadingType ${
+    paint.type === "radial" ? 3 : 2
+  } /ColorSpace /DeviceRGB /Coords [${coords}] /Extend [true true] /Function ${fn} >> shfill`;
+};
+
+const renderEPS = async (scene, dimensions) => {
+  const [pageWidth, pageHeight] = getOutputSize(scene, dimensions.points);
+
+  const lines = [
+    "%!PS-Adobe-3.0 EPSF-3.0",
+    `%%BoundingBox: 0 0 ${Math.ceil(pageWidth)} ${Math.ceil(pageHeight)}`,
+    `%%HiResBoundingBox: 0 0 ${pageWidth.toFixed(3)} ${pageHeight.toFixed(3)}`,
+    "%%LanguageLevel: 3",
+    "%%Title: QR Code",
+    "%%Creator: qr-generator-backend",
+    "%%EndComments",
+    "gsave",
+    // Flip to a top-left origin measured in modules
+    `0 ${pageHeight.toFixed(3)} translate`,
+    `${(pageWidth / scene.width).toFixed(6)} dup neg scale`,
+  ];
+
+  if (scene.background) {
+    lines.push(
+      `${psColor(scene.background)} setrgbcolor`,
+      `0 0 ${scene.width} ${scene.height} rectfill`
+    );
+  }
+
+  scene.layers.forEach((layer) => {
+    if (!layer.d) return;
+    const evenOdd = layer.fillRule === "evenodd";
+    lines.push("newpath", pathToPostScript(layer.d));
+    if (layer.paint.type === "solid") {
+      lines.push(
+        `${psColor(layer.paint.color)} setrgbcolor`,
+        evenOdd ? "eofill" : "fill"
+      );
+    } else {
+      lines.push(
+        "gsave",
+        evenOdd ? "eoclip" : "clip",
+        gradientToPostScript(layer.paint),
+        "grestore"
+      );
+    }
+  });
+
+  if (scene.logo) {
+    const { box } = scene.logo;
+    const logoImage = scene.logo.image.clone();
+    const logoPixels = Math.min(
+      MAX_EPS_LOGO_SIZE,
+      Math.ceil((dimensions.pixels * box.width) / scene.width)
+    );
+    if (logoImage.getWidth() > logoPixels) {
+      logoImage.resize(logoPixels, Jimp.AUTO);
+    }
+    // PostScript images carry no alpha, so flatten the logo onto its plate or
+    // the background first and clip shaped logos to their outline
+    const background = scene.logo.matte ||
+      scene.background || { r: 255, g: 255, b: 255 };
+    const flattened = new Jimp(
+      logoImage.getWidth(),
+      logoImage.getHeight(),
+      Jimp.rgbaToInt(background.r, background.g, background.b, 255)
+    ).composite(logoImage, 0, 0);
+    const { width, height, data } = flattened.bitmap;
+
+    let hex = "";
+    for (let i = 0; i < data.length; i += 4) {
+      hex += data.slice(i, i + 3).toString("hex");
+      if ((i / 4 + 1) % 32 === 0) hex += "\n";
+    }
+
+    lines.push("gsave");
+    if (scene.logo.radius) {
+      const { radius } = scene.logo;
+      lines.push(
+        pathToPostScript(
+          roundedRectPath(box.x, box.y, box.width, box.height, [
+            radius,
+            radius,
+            radius,
+            radius,
+          ])
+        ),
+        "clip",
+        "newpath"
+      );
+    }
+    lines.push(
+      `${box.x} ${box.y} translate`,
+      `${box.width} ${box.height} scale`,
+      `/picstr ${width * 3} string def`,
+      `${width} ${height} 8 [${width} 0 0 ${height} 0 0]`,
+      "{ currentfile picstr readhexstring pop } false 3 colorimage",
+      hex.trim(),
+      "grestore"
+    );
+  }
+
+  lines.push("grestore", "showpage", "%%EOF", "");
+  return Buffer.from(lines.join("\n"), "latin1");
+};
+
+// Render QR content in the requested format; returns the bytes plus content metadata
+const renderQRCode = async (text, customization = {}, options = {}) => {
+  const format = (options.format || "png").toLowerCase();
+  if (!FORMATS[format]) {
+    throw new ValidationError(
+      `format must be one of: ${Object.keys(FORMATS).join(", ")}`
+    );
+  }
+
+  const dimensions = options.dimensions || resolveDimensions(options);
+  const scene = await buildScene(text, customization || {});
+  const buffer = await renderScene(scene, format, dimensions);
+
+  return {
+    buffer,
+    mimeType: FORMATS[format].mimeType,
+    extension: FORMATS[format].extension,
+  };
+};
+
+// Render an already built scene into the bytes of the given format
+const renderScene = async (scene, format, dimensions) => {
+  let buffer;
+
+  switch (format) {
+    case "svg":
+      buffer = Buffer.from(await sceneToSVG(scene, dimensions), "utf8");
+      break;
+    case "pdf":
+      buffer = await renderPDF(scene, dimensions);
+      break;
+    case "eps":
+      buffer = await renderEPS(scene, dimensions);
+      break;
+    default:
+      buffer = await renderRaster(scene, dimensions, format);
+  }
+
+  return buffer;
+};
+
+module.exports = {
+  FORMATS,
+  MODULE_STYLES,
+  EYE_SHAPES,
+  GRADIENT_TYPES,
+  FRAME_STYLES,
+  FRAME_FONTS,
+  ERROR_CORRECTION_LEVELS,
+  LOGO_SHAPES,
+  SYMBOLOGY_NAMES,
+  UNIT_TO_INCHES,
+  resolveDimensions,
+  getSymbolInfo,
+  buildScene,
+  renderScene,
+  drawSceneOnPDF,
+  collectPDF,
+  renderQRCode,
+};
@@ -2,39 +2,352 @@
  * Utility functions for formatting different QR code types
  */
 
+const crypto = require("crypto");
+const { ValidationError } = require("./errors");
+const {
+  isValidTimezone,
+  getZonedParts,
+  getOffsetChanges,
+} = require("./timezones");
+
+const CRLF = "\r\n";
+const MAX_LINE_OCTETS = 75; // Content line limit of vCard and iCalendar
+const VCARD_VERSIONS = ["3.0", "4.0"];
+const PHONE_TYPES = ["cell", "home", "work", "voice", "fax", "pager", "text"];
+const EMAIL_TYPES = ["home", "work"];
+const ADDRESS_TYPES = ["home", "work"];
+const EPC_MAX_BYTES = 331;
+const ICAL_PRODID = "-//QR Generator//QR Code Events//EN";
+const ICAL_UID_DOMAIN = "qr-generator";
+const RECURRENCE_FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+const MAX_LINKS = 50;
+const LINK_ICONS = [
+  "website",
+  "email",
+  "phone",
+  "shop",
+  "instagram",
+  "facebook",
+  "x",
+  "tiktok",
+  "youtube",
+  "linkedin",
+  "github",
+  "spotify",
+  "whatsapp",
+  "telegram",
+];
+const ATTENDEE_ROLES = {
+  chair: "CHAIR",
+  required: "REQ-PARTICIPANT",
+  optional: "OPT-PARTICIPANT",
+  "non-participant": "NON-PARTICIPANT",
+};
+
+// Backslash-escape the characters with a meaning in WIFI: and MECARD: payloads
+const escapeField = (value) => String(value).replace(/([\\;,:"])/g, "\\$1");
+
+// Escape a TEXT value of vCard (RFC 6350 3.4) and iCalendar (RFC 5545 3.3.11)
+const escapeText = (value) =>
+  String(value)
+    .normalize("NFC")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n");
+
+// URIs are not escaped, but must stay on their content line
+const uriValue = (value) =>
+  String(value)
+    .trim()
+    .replace(/[\r\n]+/g, "");
+
+// Fold lines longer than 75 octets without splitting a UTF-8 character
+const foldLine = (line) => {
+  let folded = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      folded += `${CRLF} `;
+      octets = 1; // The leading space of the continuation line
+    }
+    folded += char;
+    octets += size;
+  }
+  return folded;
+};
+
+const joinLines = (lines) => lines.map(foldLine).join(CRLF);
+
+// Accept a single entry or a list; plain strings become { [key]: value }
+const toEntries = (value, key) =>
+  (Array.isArray(value) ? value : value ? [value] : [])
+    .map((entry) => (typeof entry === "object" ? entry : { [key]: entry }))
+    .filter((entry) => entry && entry[key]);
+
+const toTypes = (type, allowed, field) => {
+  const types = (
+    Array.isArray(type) ? type : type ? String(type).split(",") : []
+  )
+    .map((value) => String(value).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = types.filter((value) => !allowed.includes(value));
+  if (unknown.length) {
+    throw new ValidationError(
+      `Unknown ${field} type "${unknown[0]}"; allowed: ${allowed.join(", ")}`
+    );
+  }
+  return types;
+};
+
+// TYPE parameters: upper-case with TYPE=PREF in vCard 3.0, PREF=1 in 4.0
+const typeParams = (types, preferred, version) => {
+  if (version === "4.0") {
+    return (
+      (types.length ? `;TYPE=${types.join(",")}` : "") +
+      (preferred ? ";PREF=1" : "")
+    );
+  }
+  const all = preferred ? [...types, "pref"] : types;
+  return all.length ? `;TYPE=${all.join(",").toUpperCase()}` : "";
+};
+
+// Birthday as YYYY-MM-DD, or --MM-DD when the year is unknown
+const parseBirthday = (value) => {
+  const text =
+    value instanceof Date ? value.toISOString() : String(value).trim();
+  const match = /^(\d{4}|-)-(\d{2})-(\d{2})(T.*)?$/.exec(text);
+  const year = match && match[1] !== "-" ? match[1] : null;
+  const date = match && new Date(`${year || "2000"}-${match[2]}-${match[3]}`);
+  if (!date || isNaN(date.getTime())) {
+    throw new ValidationError(
+      "birthday must be a date as YYYY-MM-DD or --MM-DD"
+    );
+  }
+  return { year, month: match[2], day: match[3] };
+};
+
+const parseWebUrl = (value, name) => {
+  let url;
+  try {
+    url = new URL(uriValue(value));
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !["http:", "https:"].includes(url.protocol)) {
+    throw new ValidationError(`${name} must be an http or https URL`);
+  }
+  return url.href;
+};
+
+// Contact fields shared by vCard and MECARD, including the single phone,
+// email and address of older requests
+const normalizeContact = (data) => {
+  const { firstName, lastName, middleName, prefix, suffix } = data;
+  const fullName =
+    data.fullName ||
+    [prefix, firstName, middleName, lastName, suffix]
+      .filter(Boolean)
+      .join(" ") ||
+    data.organization;
+  if (!fullName) {
+    throw new ValidationError("A contact needs a name or an organization");
+  }
+
+  return {
+    ...data,
+    fullName,
+    phones: [
+      ...toEntries(data.phone, "number").map((phone) =>
+        phone.type ? phone : { ...phone, type: ["work", "voice"] }
+      ),
+      ...toEntries(data.phones, "number"),
+    ].map((phone) => ({
+      ...phone,
+      types: toTypes(phone.type, PHONE_TYPES, "phone"),
+    })),
+    emails: [
+      ...toEntries(data.email, "address").map((email) => ({
+        preferred: true,
+        ...email,
+      })),
+      ...toEntries(data.emails, "address"),
+    ].map((email) => ({
+      ...email,
+      types: toTypes(email.type, EMAIL_TYPES, "email"),
+    })),
+    addresses: [
+      ...toEntries(data.address, "street").map((address) => ({
+        type: "work",
+        preferred: true,
+        ...address,
+      })),
+      ...toEntries(data.addresses, "street"),
+    ].map((address) => ({
+      ...address,
+      types: toTypes(address.type, ADDRESS_TYPES, "address"),
+    })),
+    birthday: data.birthday ? parseBirthday(data.birthday) : null,
+    photo: data.photo ? parseWebUrl(data.photo, "photo") : null,
+  };
+};
+
+// vCard 3.0 (RFC 2426) or 4.0 (RFC 6350) with any number of phones, emails
+// and addresses
 const formatVCard = (data) => {
-  const {
-    firstName,
-    lastName,
-    phone,
-    email,
-    organization,
-    title,
-    url,
-    address,
-  } = data;
+  const version = data.version ? Number(data.version).toFixed(1) : "3.0";
+  if (!VCARD_VERSIONS.includes(version)) {
+    throw new ValidationError(
+      `vCard version must be one of: ${VCARD_VERSIONS.join(", ")}`
+    );
+  }
+  const contact = normalizeContact(data);
+  const v4 = version === "4.0";
+
+  const lines = ["BEGIN:VCARD", `VERSION:${version}`];
+  lines.push(`FN:${escapeText(contact.fullName)}`);
+  const name = [
+    contact.lastName,
+    contact.firstName,
+    contact.middleName,
+    contact.prefix,
+    contact.suffix,
+  ].map((part) => escapeText(part || ""));
+  // N is required in vCard 3.0 and optional in 4.0
+  if (!v4 || name.some(Boolean)) {
+    lines.push(`N:${name.join(";")}`);
+  }
+
+  if (contact.organization) {
+    lines.push(`ORG:${escapeText(contact.organization)}`);
+  }
+  if (contact.title) lines.push(`TITLE:${escapeText(contact.title)}`);
+
+  contact.phones.forEach(({ number, types, preferred }) => {
+    const params = typeParams(types, preferred, version);
+    lines.push(
+      v4
+        ? `TEL;VALUE=uri${params}:tel:${uriValue(number).replace(/\s+/g, "")}`
+        : `TEL${params}:${escapeText(number)}`
+    );
+  });
+  contact.emails.forEach(({ address, types, preferred }) => {
+    const emailTypes = v4 ? types : ["internet", ...types];
+    lines.push(
+      `EMAIL${typeParams(emailTypes, preferred, version)}:${escapeText(
+        address
+      )}`
+    );
+  });
+  contact.addresses.forEach((address) => {
+    // Post office box, extended address, street, locality, region, postal code, country
+    const parts = [
+      address.poBox,
+      address.extended,
+      address.street,
+      address.city,
+      address.region,
+      address.postalCode,
+      address.country,
+    ].map((part) => escapeText(part || ""));
+    lines.push(
+      `ADR${typeParams(address.types, address.preferred, version)}:${parts.join(
+        ";"
+      )}`
+    );
+  });
 
-  let vcard = "BEGIN:VCARD\nVERSION:3.0\n";
-  vcard += `N:${lastName};${firstName};;;\n`;
-  vcard += `FN:${firstName} ${lastName}\n`;
+  if (contact.url) lines.push(`URL:${uriValue(contact.url)}`);
+  if (contact.birthday) {
+    const { year, month, day } = contact.birthday;
+    if (!v4 && !year) {
+      throw new ValidationError("Birthdays without a year need vCard 4.0");
+    }
+    lines.push(
+      v4 ? `BDAY:${year || "--"}${month}${day}` : `BDAY:${year}-${month}-${day}`
+    );
+  }
+  if (contact.photo) {
+    lines.push(
+      v4 ? `PHOTO:${contact.photo}` : `PHOTO;VALUE=URI:${contact.photo}`
+    );
+  }
+  if (contact.note) lines.push(`NOTE:${escapeText(contact.note)}`);
 
-  if (organization) vcard += `ORG:${organization}\n`;
-  if (title) vcard += `TITLE:${title}\n`;
-  if (phone) vcard += `TEL;TYPE=WORK,VOICE:${phone}\n`;
-  if (email) vcard += `EMAIL;TYPE=PREF,INTERNET:${email}\n`;
-  if (url) vcard += `URL:${url}\n`;
-  if (address) vcard += `ADR;TYPE=WORK,PREF:;;${address};;;;\n`;
+  lines.push("END:VCARD");
+  return joinLines(lines);
+};
+
+// DoCoMo MECARD, a compact alternative to vCard read by most phone scanners
+const formatMeCard = (data) => {
+  const contact = normalizeContact(data);
+  const fields = [];
 
-  vcard += "END:VCARD";
-  return vcard;
+  fields.push(
+    `N:${
+      contact.lastName || contact.firstName
+        ? [contact.lastName, contact.firstName]
+            .map((part) => escapeField(part || ""))
+            .join(",")
+        : escapeField(contact.fullName)
+    }`
+  );
+  if (contact.nickname) {
+    fields.push(`NICKNAME:${escapeField(contact.nickname)}`);
+  }
+  contact.phones.forEach(({ number }) =>
+    fields.push(`TEL:${escapeField(number)}`)
+  );
+  contact.emails.forEach(({ address }) =>
+    fields.push(`EMAIL:${escapeField(address)}`)
+  );
+  if (contact.organization) {
+    fields.push(`ORG:${escapeField(contact.organization)}`);
+  }
+  if (contact.birthday?.year) {
+    const { year, month, day } = contact.birthday;
+    fields.push(`BDAY:${year}${month}${day}`);
+  }
+  contact.addresses.forEach((address) =>
+    fields.push(
+      `ADR:${[
+        address.poBox,
+        address.extended,
+        address.street,
+        address.city,
+        address.region,
+        address.postalCode,
+        address.country,
+      ]
+        .map((part) => escapeField(part || ""))
+        .join(",")}`
+    )
+  );
+  if (contact.url) fields.push(`URL:${escapeField(uriValue(contact.url))}`);
+  if (contact.note) {
+    fields.push(`NOTE:${escapeField(contact.note.replace(/\r?\n/g, " "))}`);
+  }
+
+  return `MECARD:${fields.map((field) => `${field};`).join("")};`;
 };
 
+// Wi-Fi network in the ZXing WIFI: format
 const formatWifi = (data) => {
   const { ssid, password, encryption, hidden } = data;
-  let wifi = `WIFI:S:${ssid};`;
+  if (!ssid) {
+    throw new ValidationError("Wi-Fi network name (ssid) is required");
+  }
+  // Values that look like hex are quoted so they are not read as hex bytes
+  const value = (text) => {
+    const escaped = escapeField(text);
+    return /^[0-9a-f]+$/i.test(escaped) ? `"${escaped}"` : escaped;
+  };
+
+  let wifi = `WIFI:S:${value(ssid)};`;
 
-  if (encryption) wifi += `T:${encryption};`;
-  if (password) wifi += `P:${password};`;
+  if (encryption) wifi += `T:${escapeField(encryption)};`;
+  if (password) wifi += `P:${value(password)};`;
   if (hidden === true) wifi += "H:true;";
 
   wifi += ";";
@@ -58,38 +371,1026 @@ const formatGeo = (data) => {
   return `geo:${lat},${lng}`;
 };
 
+const formatPhone = (data) => {
+  const number = String(data.phone).replace(/[\s\-().]/g, "");
+  if (!/^\+?[\d*#]{3,20}$/.test(number)) {
+    throw new ValidationError("phone must be a phone number");
+  }
+  return `tel:${number}`;
+};
+
+// Query string with RFC 3986 encoding (spaces as %20), skipping empty values
+const toQuery = (params) => {
+  const query = Object.entries(params)
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+    // "@" is valid in a query and UPI apps expect it unencoded in UPI IDs
+    .map(
+      ([key, value]) =>
+        `${key}=${encodeURIComponent(value).replace(/%40/g, "@")}`
+    )
+    .join("&");
+  return query ? `?${query}` : "";
+};
+
+// Positive amount with at most the given number of decimals, as a string
+const parseAmount = (value, field, { decimals = 2, max = Infinity } = {}) => {
+  const text = String(value).trim();
+  const match = /^\d+(?:\.(\d+))?$/.exec(text);
+  if (
+    !match ||
+    (match[1] || "").length > decimals ||
+    Number(text) <= 0 ||
+    Number(text) > max
+  ) {
+    throw new ValidationError(
+      `${field} must be a positive amount with at most ${decimals} decimals${
+        max < Infinity ? ` and at most ${max}` : ""
+      }`
+    );
+  }
+  return text;
+};
+
+const checkLength = (value, field, max) => {
+  if (value && String(value).length > max) {
+    throw new ValidationError(`${field} must be at most ${max} characters`);
+  }
+};
+
+// IBAN check digits (ISO 13616): the rearranged number modulo 97 must be 1
+const isValidIban = (iban) => {
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+    return false;
+  }
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (c) =>
+    String(c.charCodeAt(0) - 55)
+  );
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+};
+
+// EPC QR code (GiroCode) for SEPA credit transfers, version 002 in UTF-8.
+// Banking apps expect these at error correction level M
+const formatEPC = (data) => {
+  const { name, bic, amount, purpose, reference, text, information } = data;
+  const iban = String(data.iban).replace(/\s+/g, "").toUpperCase();
+  if (!isValidIban(iban)) {
+    throw new ValidationError("iban is not a valid IBAN");
+  }
+  const normalizedBic = bic
+    ? String(bic).replace(/\s+/g, "").toUpperCase()
+    : "";
+  if (
+    normalizedBic &&
+    !/^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(normalizedBic)
+  ) {
+    throw new ValidationError("bic is not a valid BIC");
+  }
+  if (purpose && !/^[A-Z0-9]{4}$/.test(purpose)) {
+    throw new ValidationError("purpose must be a 4 character ISO 20022 code");
+  }
+  if (reference && text) {
+    throw new ValidationError("Provide either reference or text, not both");
+  }
+  checkLength(name, "name", 70);
+  checkLength(reference, "reference", 35);
+  checkLength(text, "text", 140);
+  checkLength(information, "information", 70);
+  [name, reference, text, information].forEach((value) => {
+    if (value && /[\r\n]/.test(value)) {
+      throw new ValidationError("EPC fields cannot contain line breaks");
+    }
+  });
+
+  const lines = [
+    "BCD",
+    "002",
+    "1", // UTF-8
+    "SCT",
+    normalizedBic,
+    name,
+    iban,
+    amount
+      ? `EUR${Number(
+          parseAmount(amount, "amount", { max: 999999999.99 })
+        ).toFixed(2)}`
+      : "",
+    purpose || "",
+    reference || "",
+    text || "",
+    information || "",
+  ];
+  // Trailing empty elements may be left out
+  while (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+  const payload = lines.join("\n");
+  if (Buffer.byteLength(payload) > EPC_MAX_BYTES) {
+    throw new ValidationError(
+      `EPC payment data must be at most ${EPC_MAX_BYTES} bytes`
+    );
+  }
+  return payload;
+};
+
+// UPI payment link (NPCI deep linking specification)
+const formatUPI = (data) => {
+  const { vpa, name, amount, currency = "INR", note, reference } = data;
+  if (!/^[\w.-]{2,256}@[A-Za-z][A-Za-z0-9.-]{1,63}$/.test(vpa)) {
+    throw new ValidationError("vpa must be a UPI ID such as name@bank");
+  }
+  checkLength(note, "note", 80);
+  return `upi://pay${toQuery({
+    pa: vpa,
+    pn: name,
+    am: amount ? parseAmount(amount, "amount") : null,
+    cu: currency,
+    tn: note,
+    tr: reference,
+  })}`;
+};
+
+// BIP 21 Bitcoin URI; a Lightning invoice or LNURL on its own becomes a
+// lightning: URI, next to an address it is added as the lightning parameter
+const formatBitcoin = (data) => {
+  const { address, amount, label, message, lightning } = data;
+  if (!address && !lightning) {
+    throw new ValidationError(
+      "Provide a Bitcoin address or a Lightning invoice"
+    );
+  }
+  if (
+    address &&
+    !/^([13][a-km-zA-HJ-NP-Z1-9]{25,34}|(bc1|tb1)[02-9ac-hj-np-z]{8,87})$/i.test(
+      address
+    )
+  ) {
+    throw new ValidationError("address is not a valid Bitcoin address");
+  }
+  if (
+    lightning &&
+    !/^(ln(bc|tb|bcrt)[0-9a-z]+|lnurl1[0-9a-z]+)$/i.test(lightning)
+  ) {
+    throw new ValidationError(
+      "lightning must be a BOLT 11 invoice or an LNURL"
+    );
+  }
+
+  if (!address) {
+    return `lightning:${lightning}`;
+  }
+  return `bitcoin:${address}${toQuery({
+    amount: amount ? parseAmount(amount, "amount", { decimals: 8 }) : null,
+    label,
+    message,
+    lightning,
+  })}`;
+};
+
+// WhatsApp click-to-chat link; without a phone number the user picks the chat
+const formatWhatsApp = (data) => {
+  const { phone, message } = data;
+  const number = phone ? String(phone).replace(/[\s\-().+]/g, "") : "";
+  if (!number && !message) {
+    throw new ValidationError("Provide a phone number or a message");
+  }
+  if (number && !/^\d{7,15}$/.test(number)) {
+    throw new ValidationError(
+      "phone must be an international number with country code"
+    );
+  }
+  return `https://wa.me/${number}${toQuery({ text: message })}`;
+};
+
+// Telegram link to a user, group, channel or bot by username or phone number
+const formatTelegram = (data) => {
+  const { phone } = data;
+  const username = data.username ? String(data.username).replace(/^@/, "") : "";
+  if (username) {
+    if (!/^[A-Za-z][A-Za-z0-9_]{3,31}$/.test(username)) {
+      throw new ValidationError("username is not a valid Telegram username");
+    }
+    return `https://t.me/${username}${toQuery({ start: data.start })}`;
+  }
+  const number = phone ? String(phone).replace(/[\s\-().+]/g, "") : "";
+  if (!/^\d{7,15}$/.test(number)) {
+    throw new ValidationError(
+      "Provide a username or an international phone number"
+    );
+  }
+  return `https://t.me/+${number}`;
+};
+
+// Store page of an app on the App Store or Google Play
+const formatAppStore = (data) => {
+  const { platform, appId } = data;
+  switch (platform) {
+    case "ios": {
+      const id = String(appId).replace(/^id/, "");
+      if (!/^\d+$/.test(id)) {
+        throw new ValidationError("appId must be the numeric App Store ID");
+      }
+      return `https://apps.apple.com/app/id${id}`;
+    }
+    case "android":
+      if (!/^[A-Za-z][\w]*(\.[A-Za-z][\w]*)+$/.test(appId)) {
+        throw new ValidationError(
+          "appId must be an Android package name such as com.example.app"
+        );
+      }
+      return `https://play.google.com/store/apps/details?id=${appId}`;
+    default:
+      throw new ValidationError("platform must be one of: ios, android");
+  }
+};
+
+// Buttons of a link page with the ID their clicks are counted under; the icon
+// is one of LINK_ICONS or an image URL. A button sent without an ID keeps the
+// one of the stored button with its URL, or else its label, so edits keep
+// the click counts; other buttons get a new ID
+const normalizeLinks = (links, previousLinks = []) => {
+  if (!Array.isArray(links) || !links.length) {
+    throw new ValidationError("links must be a non-empty array");
+  }
+  if (links.length > MAX_LINKS) {
+    throw new ValidationError(`links can have at most ${MAX_LINKS} entries`);
+  }
+  const sentIds = links
+    .map((link) => link?.id)
+    .filter(Boolean)
+    .map(String);
+  const unused = (Array.isArray(previousLinks) ? previousLinks : []).filter(
+    (link) => link?.id && !sentIds.includes(String(link.id))
+  );
+  const takeStoredId = (url, label) => {
+    const match =
+      unused.find((link) => link.url === url) ||
+      unused.find((link) => link.label === label);
+    if (!match) {
+      return null;
+    }
+    unused.splice(unused.indexOf(match), 1);
+    return String(match.id);
+  };
+
+  const ids = new Set();
+  return links.map((link, index) => {
+    if (!link || typeof link !== "object" || !link.label) {
+      throw new ValidationError(`links[${index}] needs a label`);
+    }
+    const name = link.icon ? String(link.icon).trim() : "";
+    let icon = name.toLowerCase();
+    if (name && !LINK_ICONS.includes(icon)) {
+      if (!/^https?:\/\//i.test(name)) {
+        throw new ValidationError(
+          `links[${index}].icon must be one of: ${LINK_ICONS.join(
+            ", "
+          )}, or an image URL`
+        );
+      }
+      icon = parseWebUrl(name, `links[${index}].icon`);
+    }
+    const label = String(link.label).trim();
+    const url = parseWebUrl(link.url, `links[${index}].url`);
+    const id = link.id
+      ? String(link.id)
+      : takeStoredId(url, label) || crypto.randomBytes(4).toString("hex");
+    if (ids.has(id)) {
+      throw new ValidationError(`links[${index}].id ${id} is used twice`);
+    }
+    ids.add(id);
+    return { id, label, url, ...(icon && { icon }) };
+  });
+};
+
+// Link pages are served from the tracking URL; the payload is a plain text
+// version of the page for codes read without it
+const formatLinks = (data) => {
+  const links = normalizeLinks(data.links);
+  if (data.avatar) {
+    parseWebUrl(data.avatar, "avatar");
+  }
+  return [
+    String(data.title).trim(),
+    ...(data.bio ? [String(data.bio).trim()] : []),
+    ...links.map(({ label, url }) => `${label}: ${url}`),
+  ].join("\n");
+};
+
+// File codes serve the uploaded document from the tracking URL; the payload
+// names the document for codes read without it
+const formatFile = (data) => {
+  if (!/^[a-f0-9]{32}$/.test(String(data.fileId))) {
+    throw new ValidationError("fileId must be the ID returned by /upload-file");
+  }
+  return String(data.title || data.filename || "Document").trim();
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+// Parameter value, quoted when it contains characters that end a parameter
+const paramValue = (value) => {
+  const text = String(value).replace(/["\r\n]/g, "");
+  return /[;:,]/.test(text) ? `"${text}"` : text;
+};
+
+const formatICalDay = ({ year, month, day }) =>
+  `${pad(year, 4)}${pad(month)}${pad(day)}`;
+
+const formatICalTime = (parts, utc) =>
+  `${formatICalDay(parts)}T${pad(parts.hour)}${pad(parts.minute)}${pad(
+    parts.second
+  )}${utc ? "Z" : ""}`;
+
+const toUTCParts = (date) => ({
+  year: date.getUTCFullYear(),
+  month: date.getUTCMonth() + 1,
+  day: date.getUTCDate(),
+  hour: date.getUTCHours(),
+  minute: date.getUTCMinutes(),
+  second: date.getUTCSeconds(),
+});
+
+const partsToTime = ({ year, month, day, hour = 0, minute = 0, second = 0 }) =>
+  Date.UTC(year, month - 1, day, hour, minute, second);
+
+// Event time: an instant (with Z or an offset) shown in UTC or converted to the
+// event's time zone, or a wall-clock YYYY-MM-DDTHH:mm[:ss] in that time zone
+const parseEventTime = (value, timezone, field) => {
+  const text =
+    value instanceof Date ? value.toISOString() : String(value).trim();
+  const local =
+    /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(text);
+  if (local && timezone) {
+    const [year, month, day, hour, minute, second] = local
+      .slice(1)
+      .map((part) => Number(part || 0));
+    const parts = { year, month, day, hour, minute, second };
+    if (toUTCParts(new Date(partsToTime(parts))).day !== day || hour > 23) {
+      throw new ValidationError(`${field} is not a valid date and time`);
+    }
+    return parts;
+  }
+
+  const date = new Date(text);
+  if (isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be an ISO 8601 date and time`);
+  }
+  return timezone ? getZonedParts(date, timezone) : toUTCParts(date);
+};
+
+// Date of an all-day event, ignoring any time of day
+const parseEventDay = (value, field) => {
+  const text =
+    value instanceof Date ? value.toISOString() : String(value).trim();
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+  const date = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+  if (!date || date.getUTCDate() !== Number(match[3])) {
+    throw new ValidationError(`${field} must be a date as YYYY-MM-DD`);
+  }
+  return date;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * 86400000);
+
+const formatOffset = (minutes) =>
+  `${minutes < 0 ? "-" : "+"}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(
+    Math.abs(minutes) % 60
+  )}`;
+
+// VTIMEZONE with the offset in effect at the start of the event and the
+// changes until its end; recurring events get the changes of the next year too
+const formatTimezone = (timezone, start, end, recurring) => {
+  const toYear = end.year + (recurring ? 1 : 0);
+  const until = recurring ? Date.UTC(toYear + 1, 0, 1) : partsToTime(end);
+  // The year before is searched for the change in effect at the start
+  const changes = getOffsetChanges(timezone, start.year - 1, toYear);
+  const first = changes
+    .map(({ localTime }) => localTime.getTime() <= partsToTime(start))
+    .lastIndexOf(true);
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timezone}`];
+  changes
+    .slice(Math.max(first, 0))
+    .filter(
+      ({ localTime }, index) => index === 0 || localTime.getTime() < until
+    )
+    .forEach(({ localTime, offsetFrom, offsetTo }) => {
+      const component = offsetTo > offsetFrom ? "DAYLIGHT" : "STANDARD";
+      lines.push(
+        `BEGIN:${component}`,
+        `DTSTART:${formatICalTime(toUTCParts(localTime), false)}`,
+        `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+        `TZOFFSETTO:${formatOffset(offsetTo)}`,
+        `END:${component}`
+      );
+    });
+  lines.push("END:VTIMEZONE");
+  return lines;
+};
+
+// RRULE from a rule string or { frequency, interval, count, until, byDay,
+// byMonthDay, byMonth }. UNTIL is a date for all-day events and UTC otherwise
+const formatRecurrence = (recurrence, allDay) => {
+  if (typeof recurrence === "string") {
+    const parts = recurrence
+      .trim()
+      .replace(/^RRULE:/i, "")
+      .toUpperCase()
+      .split(";");
+    if (
+      !parts.every((part) => /^[A-Z]+=[A-Z0-9,+-]+$/.test(part)) ||
+      !parts.some((part) =>
+        /^FREQ=(SECONDLY|MINUTELY|HOURLY|DAILY|WEEKLY|MONTHLY|YEARLY)$/.test(
+          part
+        )
+      )
+    ) {
+      throw new ValidationError("recurrence is not a valid RRULE");
+    }
+    return parts.join(";");
+  }
+
+  const { frequency, interval, count, until, byDay, byMonthDay, byMonth } =
+    recurrence;
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    throw new ValidationError(
+      `recurrence.frequency must be one of: ${RECURRENCE_FREQUENCIES.join(
+        ", "
+      )}`
+    );
+  }
+  if (count && until) {
+    throw new ValidationError(
+      "recurrence can have either count or until, not both"
+    );
+  }
+  const positive = (value, name) => {
+    if (!Number.isInteger(Number(value)) || Number(value) < 1) {
+      throw new ValidationError(
+        `recurrence.${name} must be a positive integer`
+      );
+    }
+    return Number(value);
+  };
+  const list = (value) => (Array.isArray(value) ? value : [value]);
+
+  const rule = [`FREQ=${frequency.toUpperCase()}`];
+  if (interval) rule.push(`INTERVAL=${positive(interval, "interval")}`);
+  if (count) rule.push(`COUNT=${positive(count, "count")}`);
+  if (until) {
+    rule.push(
+      `UNTIL=${
+        allDay
+          ? formatICalDay(toUTCParts(parseEventDay(until, "recurrence.until")))
+          : formatICalTime(
+              parseEventTime(until, null, "recurrence.until"),
+              true
+            )
+      }`
+    );
+  }
+  if (byDay) {
+    const days = list(byDay).map((day) => String(day).toUpperCase());
+    if (
+      !days.every((day) => /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.test(day))
+    ) {
+      throw new ValidationError(
+        "recurrence.byDay must hold weekdays such as MO, TU or 1MO"
+      );
+    }
+    rule.push(`BYDAY=${days.join(",")}`);
+  }
+  if (byMonthDay) {
+    rule.push(
+      `BYMONTHDAY=${list(byMonthDay)
+        .map((day) => {
+          if (!Number.isInteger(Number(day)) || !day || Math.abs(day) > 31) {
+            throw new ValidationError(
+              "recurrence.byMonthDay must hold days from 1 to 31 or -31 to -1"
+            );
+          }
+          return Number(day);
+        })
+        .join(",")}`
+    );
+  }
+  if (byMonth) {
+    rule.push(
+      `BYMONTH=${list(byMonth)
+        .map((month) => {
+          if (!Number.isInteger(Number(month)) || month < 1 || month > 12) {
+            throw new ValidationError(
+              "recurrence.byMonth must hold months from 1 to 12"
+            );
+          }
+          return Number(month);
+        })
+        .join(",")}`
+    );
+  }
+  return rule.join(";");
+};
+
+// ORGANIZER or ATTENDEE from an email address or { name, email, ... }
+const formatCalendarUser = (property, user, params = "") => {
+  const { name, email } = typeof user === "object" ? user : { email: user };
+  if (!email || !/^[^\s@:;,"]+@[^\s@:;,"]+$/.test(email)) {
+    throw new ValidationError(
+      `${property.toLowerCase()} needs a valid email address`
+    );
+  }
+  return `${property}${
+    name ? `;CN=${paramValue(name)}` : ""
+  }${params}:mailto:${email}`;
+};
+
+const formatAttendee = (attendee) => {
+  const { role, rsvp } = typeof attendee === "object" ? attendee : {};
+  if (role && !ATTENDEE_ROLES[role]) {
+    throw new ValidationError(
+      `Attendee role must be one of: ${Object.keys(ATTENDEE_ROLES).join(", ")}`
+    );
+  }
+  return formatCalendarUser(
+    "ATTENDEE",
+    attendee,
+    `${role ? `;ROLE=${ATTENDEE_ROLES[role]}` : ""}${rsvp ? ";RSVP=TRUE" : ""}`
+  );
+};
+
+// Display reminder a number of minutes before the start
+const formatAlarm = (alarm, summary) => {
+  const { minutesBefore, description } =
+    typeof alarm === "object" ? alarm : { minutesBefore: alarm };
+  if (!Number.isInteger(Number(minutesBefore)) || Number(minutesBefore) < 0) {
+    throw new ValidationError(
+      "Reminders need minutesBefore as a whole number of at least 0"
+    );
+  }
+  return [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `TRIGGER:-PT${Number(minutesBefore)}M`,
+    `DESCRIPTION:${escapeText(description || summary || "Reminder")}`,
+    "END:VALARM",
+  ];
+};
+
+// iCalendar object (RFC 5545) with a single event: in UTC, in an IANA time
+// zone with its VTIMEZONE, or all-day (the end date is inclusive)
 const formatEvent = (data) => {
-  const { summary, location, description, startDate, endDate } = data;
+  const {
+    summary,
+    location,
+    description,
+    url,
+    timezone,
+    recurrence,
+    organizer,
+    attendees = [],
+    reminders = [],
+  } = data;
+  if (timezone && !isValidTimezone(timezone)) {
+    throw new ValidationError(
+      "timezone must be an IANA time zone such as Europe/Berlin"
+    );
+  }
+  const allDay =
+    data.allDay === true || /^\d{4}-\d{2}-\d{2}$/.test(String(data.startDate));
+
+  const calendar = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICAL_PRODID}`,
+    "CALSCALE:GREGORIAN",
+  ];
+  const event = [
+    "BEGIN:VEVENT",
+    `UID:${data.uid || `${crypto.randomUUID()}@${ICAL_UID_DOMAIN}`}`,
+    `DTSTAMP:${formatICalTime(toUTCParts(new Date()), true)}`,
+  ];
+
+  if (allDay) {
+    const start = parseEventDay(data.startDate, "startDate");
+    const end = addDays(
+      data.endDate ? parseEventDay(data.endDate, "endDate") : start,
+      1
+    );
+    if (end <= start) {
+      throw new ValidationError("endDate cannot be before startDate");
+    }
+    event.push(
+      `DTSTART;VALUE=DATE:${formatICalDay(toUTCParts(start))}`,
+      `DTEND;VALUE=DATE:${formatICalDay(toUTCParts(end))}`
+    );
+  } else {
+    const start = parseEventTime(data.startDate, timezone, "startDate");
+    const end = data.endDate
+      ? parseEventTime(data.endDate, timezone, "endDate")
+      : null;
+    if (end && partsToTime(end) <= partsToTime(start)) {
+      throw new ValidationError("endDate must be after startDate");
+    }
+    const tzid = timezone ? `;TZID=${timezone}` : "";
+    event.push(`DTSTART${tzid}:${formatICalTime(start, !timezone)}`);
+    if (end) event.push(`DTEND${tzid}:${formatICalTime(end, !timezone)}`);
+    if (timezone) {
+      calendar.push(
+        ...formatTimezone(timezone, start, end || start, Boolean(recurrence))
+      );
+    }
+  }
 
-  let event = "BEGIN:VEVENT\n";
-  if (summary) event += `SUMMARY:${summary}\n`;
-  if (location) event += `LOCATION:${location}\n`;
-  if (description) event += `DESCRIPTION:${description}\n`;
-  if (startDate) event += `DTSTART:${formatICalDate(startDate)}\n`;
-  if (endDate) event += `DTEND:${formatICalDate(endDate)}\n`;
-  event += "END:VEVENT";
+  if (summary) event.push(`SUMMARY:${escapeText(summary)}`);
+  if (location) event.push(`LOCATION:${escapeText(location)}`);
+  if (description) event.push(`DESCRIPTION:${escapeText(description)}`);
+  if (url) event.push(`URL:${uriValue(url)}`);
+  if (recurrence) event.push(`RRULE:${formatRecurrence(recurrence, allDay)}`);
+  if (organizer) event.push(formatCalendarUser("ORGANIZER", organizer));
+  toEntries(attendees, "email").forEach((attendee) =>
+    event.push(formatAttendee(attendee))
+  );
+  (Array.isArray(reminders) ? reminders : [reminders]).forEach((reminder) =>
+    event.push(...formatAlarm(reminder, summary))
+  );
+  event.push("END:VEVENT");
 
-  return event;
+  return joinLines([...calendar, ...event, "END:VCALENDAR"]);
 };
 
-// Helper function to format date for iCal
-const formatICalDate = (dateString) => {
-  const date = new Date(dateString);
-  const year = date.getUTCFullYear();
-  const month = (date.getUTCMonth() + 1).toString().padStart(2, "0");
-  const day = date.getUTCDate().toString().padStart(2, "0");
-  const hours = date.getUTCHours().toString().padStart(2, "0");
-  const minutes = date.getUTCMinutes().toString().padStart(2, "0");
-  const seconds = date.getUTCSeconds().toString().padStart(2, "0");
+const field = (type, description, required = false) =>
+  required ? { type, required, description } : { type, description };
 
-  return `${year}${month}${day}T${hours}${minutes}${seconds}Z`;
+const CONTACT_FIELDS = {
+  firstName: field("string", "Given name"),
+  lastName: field("string", "Family name"),
+  middleName: field("string", "Additional names"),
+  prefix: field("string", "Honorific prefix"),
+  suffix: field("string", "Honorific suffix"),
+  fullName: field(
+    "string",
+    "Display name; built from the name parts if left out"
+  ),
+  organization: field("string", "Company or organization"),
+  phone: field("string", "Single work phone number"),
+  phones: field(
+    "array",
+    `Phones as { number, type, preferred }; type is one or more of ${PHONE_TYPES.join(
+      ", "
+    )}`
+  ),
+  email: field("string", "Single preferred email address"),
+  emails: field(
+    "array",
+    "Emails as { address, type, preferred }; type is home or work"
+  ),
+  address: field("string", "Single work street address"),
+  addresses: field(
+    "array",
+    "Addresses as { street, city, region, postalCode, country, poBox, extended, type, preferred }"
+  ),
+  url: field("string", "Website"),
+  birthday: field(
+    "string",
+    "YYYY-MM-DD, or --MM-DD without a year (vCard 4.0 only)"
+  ),
+  note: field("string", "Free text note"),
 };
 
+// Input of each QR type, as accepted by formatContent and /format-content
+const QR_TYPES = {
+  url: {
+    description: "Link to a web page",
+    fields: { text: field("string", "Destination URL", true) },
+    format: (data) => String(data.text),
+  },
+  text: {
+    description: "Plain text",
+    fields: { text: field("string", "Text to encode", true) },
+    format: (data) => String(data.text),
+  },
+  phone: {
+    description: "Phone call",
+    fields: {
+      phone: field("string", "Phone number, ideally with country code", true),
+    },
+    format: formatPhone,
+  },
+  vcard: {
+    description: "Contact card (vCard 3.0 or 4.0)",
+    fields: {
+      version: field("string", "3.0 (default) or 4.0"),
+      ...CONTACT_FIELDS,
+      title: field("string", "Job title"),
+      photo: field("string", "http or https URL of a photo"),
+    },
+    format: formatVCard,
+  },
+  mecard: {
+    description: "Contact card in the compact MECARD format",
+    fields: { ...CONTACT_FIELDS, nickname: field("string", "Nickname") },
+    format: formatMeCard,
+  },
+  wifi: {
+    description: "Wi-Fi network credentials",
+    fields: {
+      ssid: field("string", "Network name", true),
+      password: field("string", "Network password"),
+      encryption: field("string", "WPA, WEP or nopass"),
+      hidden: field("boolean", "Whether the network is hidden"),
+    },
+    format: formatWifi,
+  },
+  email: {
+    description: "Email draft",
+    fields: {
+      email: field("string", "Recipient address", true),
+      subject: field("string", "Subject"),
+      body: field("string", "Message body"),
+    },
+    format: formatEmail,
+  },
+  sms: {
+    description: "Text message draft",
+    fields: {
+      phone: field("string", "Recipient phone number", true),
+      message: field("string", "Message text"),
+    },
+    format: formatSMS,
+  },
+  geo: {
+    description: "Map location",
+    fields: {
+      lat: field("number", "Latitude", true),
+      lng: field("number", "Longitude", true),
+    },
+    format: formatGeo,
+  },
+  event: {
+    description: "Calendar event (iCalendar)",
+    fields: {
+      summary: field("string", "Title"),
+      location: field("string", "Location"),
+      description: field("string", "Description"),
+      url: field("string", "Link to more information"),
+      startDate: field(
+        "string",
+        "ISO 8601 date and time; local time (YYYY-MM-DDTHH:mm) with timezone; YYYY-MM-DD for all-day events",
+        true
+      ),
+      endDate: field(
+        "string",
+        "End, like startDate; the last day for all-day events"
+      ),
+      allDay: field("boolean", "All-day event; implied by a date without time"),
+      timezone: field(
+        "string",
+        "IANA time zone such as Europe/Berlin; UTC when left out"
+      ),
+      recurrence: field(
+        "string|object",
+        "RRULE string or { frequency, interval, count, until, byDay, byMonthDay, byMonth }"
+      ),
+      organizer: field("string|object", "Email address or { name, email }"),
+      attendees: field(
+        "array",
+        `Email addresses or { name, email, role, rsvp }; role is one of ${Object.keys(
+          ATTENDEE_ROLES
+        ).join(", ")}`
+      ),
+      reminders: field(
+        "array",
+        "Minutes before the start, or { minutesBefore, description }"
+      ),
+      uid: field("string", "Unique event ID; generated when left out"),
+    },
+    // Keep the generated UID so calendars recognize the event after edits
+    prepare: (data) => ({
+      ...data,
+      uid: data.uid || `${crypto.randomUUID()}@${ICAL_UID_DOMAIN}`,
+    }),
+    format: formatEvent,
+  },
+  epc: {
+    description: "SEPA credit transfer (EPC QR code / GiroCode)",
+    fields: {
+      name: field("string", "Beneficiary name, up to 70 characters", true),
+      iban: field("string", "Beneficiary IBAN", true),
+      bic: field("string", "Beneficiary BIC; optional inside the EEA"),
+      amount: field("number", "Amount in euro, 0.01 to 999999999.99"),
+      purpose: field("string", "4 character ISO 20022 purpose code"),
+      reference: field(
+        "string",
+        "Structured creditor reference, up to 35 characters"
+      ),
+      text: field(
+        "string",
+        "Unstructured remittance text, up to 140 characters; not with reference"
+      ),
+      information: field("string", "Note to the payer, up to 70 characters"),
+    },
+    format: formatEPC,
+  },
+  upi: {
+    description: "UPI payment request",
+    fields: {
+      vpa: field("string", "Payee UPI ID (name@bank)", true),
+      name: field("string", "Payee name"),
+      amount: field("number", "Amount with at most 2 decimals"),
+      currency: field("string", "Currency code, INR by default"),
+      note: field("string", "Transaction note, up to 80 characters"),
+      reference: field("string", "Transaction reference"),
+    },
+    format: formatUPI,
+  },
+  bitcoin: {
+    description: "Bitcoin or Lightning payment request (BIP 21)",
+    fields: {
+      address: field("string", "Bitcoin address; required without lightning"),
+      amount: field("number", "Amount in BTC with at most 8 decimals"),
+      label: field("string", "Recipient label"),
+      message: field("string", "Payment message"),
+      lightning: field("string", "BOLT 11 invoice or LNURL"),
+    },
+    format: formatBitcoin,
+  },
+  whatsapp: {
+    description: "WhatsApp chat",
+    fields: {
+      phone: field(
+        "string",
+        "International number with country code; leave out to pick the chat"
+      ),
+      message: field("string", "Prefilled message"),
+    },
+    format: formatWhatsApp,
+  },
+  telegram: {
+    description: "Telegram user, group, channel or bot",
+    fields: {
+      username: field("string", "Username; required without phone"),
+      phone: field("string", "International phone number"),
+      start: field("string", "Start parameter for bots"),
+    },
+    format: formatTelegram,
+  },
+  appstore: {
+    description: "App Store or Google Play page of an app",
+    fields: {
+      platform: field("string", "ios or android", true),
+      appId: field(
+        "string",
+        "Numeric App Store ID or Android package name",
+        true
+      ),
+    },
+    format: formatAppStore,
+  },
+  links: {
+    description:
+      "Hosted page with a list of links (link in bio); needs tracking",
+    hosted: true,
+    fields: {
+      title: field("string", "Page title", true),
+      avatar: field("string", "http or https URL of an avatar image"),
+      bio: field("string", "Short text below the title"),
+      links: field(
+        "array",
+        `Buttons in display order as { label, url, icon, id }; icon is one of ${LINK_ICONS.join(
+          ", "
+        )} or an image URL; id keeps click counts across edits and must be unique; left out, it is taken from the stored button with the same URL or label, or generated`,
+        true
+      ),
+    },
+    // Give every button an ID so its clicks can be counted
+    prepare: (data, previous) => ({
+      ...data,
+      links: Array.isArray(data.links)
+        ? normalizeLinks(data.links, previous?.links)
+        : data.links,
+    }),
+    format: formatLinks,
+  },
+  file: {
+    description:
+      "Hosted document such as a PDF menu, uploaded with /upload-file; needs tracking",
+    hosted: true,
+    fields: {
+      fileId: field("string", "ID returned by /upload-file", true),
+      title: field("string", "Title shown instead of the file name"),
+      filename: field("string", "Name of the uploaded file; set on upload"),
+      mimeType: field(
+        "string",
+        "MIME type of the uploaded file; set on upload"
+      ),
+      size: field("number", "Size in bytes; set on upload"),
+    },
+    format: formatFile,
+  },
+};
+
+const QR_TYPE_NAMES = Object.keys(QR_TYPES);
+
+// Types whose content is a page served from the tracking URL
+const isHostedType = (qrType) => Boolean(QR_TYPES[qrType]?.hosted);
+
+const FIELD_CHECKS = {
+  string: (value) => typeof value === "string" || typeof value === "number",
+  number: (value) => value !== "" && !isNaN(Number(value)),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) =>
+    Array.isArray(value) ||
+    typeof value === "string" ||
+    typeof value === "number",
+  object: (value) => typeof value === "object" && !Array.isArray(value),
+};
+
+// Check the data against the type's schema and build the encoded payload
+const formatContent = (qrType, data) => {
+  const definition = QR_TYPES[qrType];
+  if (!definition) {
+    throw new ValidationError(
+      `qrType must be one of: ${QR_TYPE_NAMES.join(", ")}`
+    );
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new ValidationError("data must be an object");
+  }
+
+  Object.entries(definition.fields).forEach(([name, { type, required }]) => {
+    const value = data[name];
+    if (value === undefined || value === null || value === "") {
+      if (required) {
+        throw new ValidationError(`${name} is required for ${qrType} codes`);
+      }
+      return;
+    }
+    const types = type.split("|");
+    if (!types.some((allowed) => FIELD_CHECKS[allowed](value))) {
+      throw new ValidationError(`${name} must be a ${types.join(" or ")}`);
+    }
+  });
+
+  return definition.format(data);
+};
+
+// Content stored on a code: the fields of the type's schema with generated
+// values (such as event UIDs) filled in, checked by formatting them into the
+// payload the code encodes. Previous is the content stored before an edit
+const buildContent = (qrType, data, previous = null) => {
+  const prepare = QR_TYPES[qrType]?.prepare;
+  const prepared =
+    prepare && data && typeof data === "object"
+      ? prepare(data, previous)
+      : data;
+  const text = formatContent(qrType, prepared);
+  const content = Object.fromEntries(
+    Object.keys(QR_TYPES[qrType].fields)
+      .filter((name) => prepared[name] !== undefined && prepared[name] !== null)
+      .map((name) => [name, prepared[name]])
+  );
+  return { content, text };
+};
+
+// Type descriptions and fields without the formatters, for API clients
+const getTypeSchemas = () =>
+  Object.fromEntries(
+    Object.entries(QR_TYPES).map(
+      ([name, { description, fields, hosted = false }]) => [
+        name,
+        { description, hosted, fields },
+      ]
+    )
+  );
+
 module.exports = {
+  QR_TYPE_NAMES,
+  isHostedType,
+  formatContent,
+  buildContent,
+  getTypeSchemas,
+  escapeField,
+  escapeText,
+  foldLine,
   formatVCard,
+  formatMeCard,
   formatWifi,
   formatEmail,
   formatSMS,
   formatGeo,
   formatEvent,
+  formatPhone,
+  formatEPC,
+  formatUPI,
+  formatBitcoin,
+  formatWhatsApp,
+  formatTelegram,
+  formatAppStore,
+  formatLinks,
+  formatFile,
 };
@@ -0,0 +1,675 @@
+/**
+ * Parsing of encoded QR payloads back into the structured content the
+ * formatters in qrTypeFormatter.js take
+ */
+
+// Split on separators that are not escaped with a backslash
+const splitUnescaped = (text, separator) => {
+  const parts = [];
+  let current = "";
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\\" && i + 1 < text.length) {
+      current += text[i] + text[i + 1];
+      i++;
+    } else if (text[i] === separator) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += text[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+// Undo vCard and iCalendar TEXT escaping
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+
+// Undo the backslash escaping of WIFI: and MECARD: fields
+const unescapeField = (value) => value.replace(/\\(.)/g, "$1");
+
+// Unfold and split vCard or iCalendar content lines into name, parameters and
+// value. Bare parameters (vCard 2.1 "TEL;WORK:") are read as types
+const parseContentLines = (text) =>
+  text
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .map((line) => {
+      const match =
+        /^([A-Za-z0-9-]+)((?:;[^:"]*(?:"[^"]*"[^:"]*)*)*):(.*)$/.exec(line);
+      if (!match) {
+        return null;
+      }
+      const params = {};
+      match[2]
+        .split(";")
+        .filter(Boolean)
+        .forEach((param) => {
+          const [key, ...rest] = param.split("=");
+          const name = rest.length ? key.toUpperCase() : "TYPE";
+          const value = (rest.length ? rest.join("=") : key).replace(/"/g, "");
+          params[name] = params[name] ? `${params[name]},${value}` : value;
+        });
+      return { name: match[1].toUpperCase(), params, value: match[3] };
+    })
+    .filter(Boolean);
+
+// Types from a TYPE parameter, keeping only the ones the formatter knows
+const parseTypes = (params, allowed) => {
+  const types = (params.TYPE || "")
+    .toLowerCase()
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+  return {
+    type: types.filter((type) => allowed.includes(type)),
+    preferred: types.includes("pref") || params.PREF !== undefined,
+  };
+};
+
+// 19900131, 1990-01-31 or --0131 / --01-31 as YYYY-MM-DD or --MM-DD
+const parseBirthday = (value) => {
+  const match = /^(\d{4}|--)-?(\d{2})-?(\d{2})/.exec(value);
+  if (!match) {
+    return undefined;
+  }
+  return match[1] === "--"
+    ? `--${match[2]}-${match[3]}`
+    : `${match[1]}-${match[2]}-${match[3]}`;
+};
+
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) =>
+        value !== undefined &&
+        value !== "" &&
+        !(Array.isArray(value) && !value.length)
+    )
+  );
+
+const parseVCard = (text) => {
+  if (!/^BEGIN:VCARD/i.test(text.trim())) {
+    return null;
+  }
+  const contact = { phones: [], emails: [], addresses: [] };
+
+  parseContentLines(text).forEach(({ name, params, value }) => {
+    switch (name) {
+      case "VERSION":
+        contact.version = value;
+        break;
+      case "FN":
+        contact.fullName = unescapeText(value);
+        break;
+      case "N": {
+        const [lastName, firstName, middleName, prefix, suffix] =
+          splitUnescaped(value, ";").map(unescapeText);
+        Object.assign(contact, {
+          lastName,
+          firstName,
+          middleName,
+          prefix,
+          suffix,
+        });
+        break;
+      }
+      case "ORG":
+        contact.organization = splitUnescaped(value, ";")
+          .map(unescapeText)
+          .filter(Boolean)
+          .join(", ");
+        break;
+      case "TITLE":
+        contact.title = unescapeText(value);
+        break;
+      case "TEL":
+        contact.phones.push({
+          number: unescapeText(value).replace(/^tel:/i, ""),
+          ...parseTypes(params, [
+            "cell",
+            "home",
+            "work",
+            "voice",
+            "fax",
+            "pager",
+            "text",
+          ]),
+        });
+        break;
+      case "EMAIL":
+        contact.emails.push({
+          address: unescapeText(value),
+          ...parseTypes(params, ["home", "work"]),
+        });
+        break;
+      case "ADR": {
+        const [poBox, extended, street, city, region, postalCode, country] =
+          splitUnescaped(value, ";").map(unescapeText);
+        contact.addresses.push(
+          compact({
+            poBox,
+            extended,
+            street,
+            city,
+            region,
+            postalCode,
+            country,
+            ...parseTypes(params, ["home", "work"]),
+          })
+        );
+        break;
+      }
+      case "URL":
+        contact.url = value;
+        break;
+      case "BDAY":
+        contact.birthday = parseBirthday(value);
+        break;
+      case "PHOTO":
+        // Embedded photos are left out; only links are kept
+        if (/^https?:\/\//i.test(value)) {
+          contact.photo = value;
+        }
+        break;
+      case "NOTE":
+        contact.note = unescapeText(value);
+        break;
+    }
+  });
+
+  return compact(contact);
+};
+
+// WIFI:S:<ssid>;T:<encryption>;P:<password>;H:<hidden>;;
+const parseWifi = (text) => {
+  if (!/^WIFI:/i.test(text)) {
+    return null;
+  }
+  const fields = {};
+  splitUnescaped(text.slice(5), ";").forEach((field) => {
+    const separator = field.indexOf(":");
+    if (separator > 0) {
+      let value = field.slice(separator + 1);
+      // Quoted values are names that would otherwise read as hex
+      if (/^".*"$/.test(value)) {
+        value = value.slice(1, -1);
+      }
+      fields[field.slice(0, separator).toUpperCase()] = unescapeField(value);
+    }
+  });
+  if (!fields.S) {
+    return null;
+  }
+
+  return compact({
+    ssid: fields.S,
+    password: fields.P,
+    encryption: fields.T,
+    hidden: fields.H === "true" ? true : undefined,
+  });
+};
+
+// Percent-decode; in query strings "+" also stands for a space
+const decode = (value, query = false) => {
+  try {
+    return decodeURIComponent(query ? value.replace(/\+/g, " ") : value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Split a URI into its path and decoded query parameters
+const parseUri = (text, scheme) => {
+  if (!text.toLowerCase().startsWith(`${scheme}:`)) {
+    return null;
+  }
+  const rest = text.slice(scheme.length + 1);
+  const separator = rest.indexOf("?");
+  const query = {};
+  if (separator >= 0) {
+    rest
+      .slice(separator + 1)
+      .split("&")
+      .filter(Boolean)
+      .forEach((pair) => {
+        const [key, ...value] = pair.split("=");
+        query[decode(key, true).toLowerCase()] = decode(value.join("="), true);
+      });
+  }
+  return {
+    path: decode(separator >= 0 ? rest.slice(0, separator) : rest),
+    query,
+  };
+};
+
+// Fields of NAME:value; payloads such as MATMSG: and MECARD:, still escaped
+const parseFields = (text) => {
+  const fields = {};
+  splitUnescaped(text, ";").forEach((field) => {
+    const separator = field.indexOf(":");
+    if (separator > 0) {
+      const name = field.slice(0, separator).toUpperCase();
+      fields[name] = [...(fields[name] || []), field.slice(separator + 1)];
+    }
+  });
+  return fields;
+};
+
+// mailto: URIs and the MATMSG: format of older generators
+const parseEmail = (text) => {
+  if (/^MATMSG:/i.test(text)) {
+    const fields = parseFields(text.slice(7));
+    return fields.TO
+      ? compact({
+          email: unescapeField(fields.TO[0]),
+          subject: fields.SUB && unescapeField(fields.SUB[0]),
+          body: fields.BODY && unescapeField(fields.BODY[0]),
+        })
+      : null;
+  }
+  const uri = parseUri(text, "mailto");
+  return (
+    uri &&
+    compact({
+      email: uri.path,
+      subject: uri.query.subject,
+      body: uri.query.body,
+    })
+  );
+};
+
+// sms: URIs and the SMSTO:<number>:<message> format
+const parseSMS = (text) => {
+  const smsTo = /^SMSTO:([^:]*)(?::([\s\S]*))?$/i.exec(text);
+  if (smsTo) {
+    return compact({ phone: smsTo[1], message: smsTo[2] });
+  }
+  const uri = parseUri(text, "sms");
+  return uri && compact({ phone: uri.path, message: uri.query.body });
+};
+
+const parsePhone = (text) => {
+  const uri = parseUri(text, "tel");
+  if (uri) {
+    return { phone: uri.path };
+  }
+  return /^\+?[\d\s\-().*#]{3,}$/.test(text) ? { phone: text.trim() } : null;
+};
+
+// geo:<lat>,<lng>[,<altitude>][;crs=...][?q=...]
+const parseGeo = (text) => {
+  const match = /^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/i.exec(text);
+  return match ? { lat: Number(match[1]), lng: Number(match[2]) } : null;
+};
+
+// 20260101T100000Z as an ISO 8601 string; local times (20260101T100000) are
+// left without offset and dates (20260101) without time
+const parseICalDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(
+    value
+  );
+  if (!match) {
+    return undefined;
+  }
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  if (hours === undefined) {
+    return `${year}-${month}-${day}`;
+  }
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${
+    utc ? ".000Z" : ""
+  }`;
+};
+
+// Minutes before the start of a negative (or zero) trigger duration
+const parseTrigger = (value) => {
+  const match =
+    /^(-?)P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+      value
+    );
+  if (!match) {
+    return undefined;
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+  const total =
+    ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 +
+    Number(minutes);
+  return sign || total === 0 ? total : undefined;
+};
+
+const ATTENDEE_ROLES = {
+  CHAIR: "chair",
+  "REQ-PARTICIPANT": "required",
+  "OPT-PARTICIPANT": "optional",
+  "NON-PARTICIPANT": "non-participant",
+};
+
+// ORGANIZER or ATTENDEE as an email address, or an object when it has more
+const parseCalendarUser = (params, value, extra = {}) => {
+  const user = compact({
+    name: params.CN,
+    email: value.replace(/^mailto:/i, ""),
+    ...extra,
+  });
+  return Object.keys(user).length === 1 ? user.email : user;
+};
+
+// The first VEVENT, bare or inside a VCALENDAR, with its reminders; other
+// events and time zone definitions are skipped
+const parseEvent = (text) => {
+  if (!/BEGIN:VEVENT/i.test(text)) {
+    return null;
+  }
+  const event = { attendees: [], reminders: [] };
+  const components = [];
+  let events = 0;
+  let alarm = null;
+
+  parseContentLines(text).forEach(({ name, params, value }) => {
+    if (name === "BEGIN") {
+      components.push(value.toUpperCase());
+      events += value.toUpperCase() === "VEVENT" ? 1 : 0;
+      alarm = value.toUpperCase() === "VALARM" ? {} : alarm;
+      return;
+    }
+    if (name === "END") {
+      if (components.pop() === "VALARM" && events === 1 && alarm) {
+        event.reminders.push(alarm);
+      }
+      return;
+    }
+    const component = components[components.length - 1];
+    if (events !== 1 || !["VEVENT", "VALARM"].includes(component)) {
+      return;
+    }
+    if (component === "VALARM") {
+      if (name === "TRIGGER") {
+        alarm.minutesBefore = parseTrigger(value);
+      } else if (name === "DESCRIPTION") {
+        alarm.description = unescapeText(value);
+      }
+      return;
+    }
+
+    switch (name) {
+      case "UID":
+        event.uid = value;
+        break;
+      case "SUMMARY":
+        event.summary = unescapeText(value);
+        break;
+      case "LOCATION":
+        event.location = unescapeText(value);
+        break;
+      case "DESCRIPTION":
+        event.description = unescapeText(value);
+        break;
+      case "URL":
+        event.url = value;
+        break;
+      case "DTSTART":
+        event.startDate = parseICalDate(value);
+        event.timezone = params.TZID;
+        event.allDay = params.VALUE === "DATE" || undefined;
+        break;
+      case "DTEND":
+        event.endDate = parseICalDate(value);
+        break;
+      case "RRULE":
+        event.recurrence = value;
+        break;
+      case "ORGANIZER":
+        event.organizer = parseCalendarUser(params, value);
+        break;
+      case "ATTENDEE":
+        event.attendees.push(
+          parseCalendarUser(params, value, {
+            role: ATTENDEE_ROLES[params.ROLE],
+            rsvp: params.RSVP === "TRUE" || undefined,
+          })
+        );
+        break;
+    }
+  });
+
+  // All-day events end on the day before DTEND
+  if (event.allDay && event.endDate) {
+    const end = new Date(`${event.endDate}T00:00:00Z`);
+    end.setUTCDate(end.getUTCDate() - 1);
+    event.endDate =
+      end.toISOString().slice(0, 10) === event.startDate
+        ? undefined
+        : end.toISOString().slice(0, 10);
+  }
+  // Reminders that only repeat the title are kept as plain minutes
+  event.reminders = event.reminders
+    .filter(({ minutesBefore }) => minutesBefore !== undefined)
+    .map(({ minutesBefore, description }) =>
+      !description ||
+      description === event.summary ||
+      description === "Reminder"
+        ? minutesBefore
+        : { minutesBefore, description }
+    );
+
+  return compact(event);
+};
+
+// MECARD:N:<last>,<first>;TEL:...;EMAIL:...;;
+const parseMeCard = (text) => {
+  if (!/^MECARD:/i.test(text)) {
+    return null;
+  }
+  const fields = parseFields(text.slice(7));
+  if (!fields.N) {
+    return null;
+  }
+  const first = (name) => fields[name] && unescapeField(fields[name][0]);
+  const [lastName, firstName] = splitUnescaped(fields.N[0], ",").map(
+    unescapeField
+  );
+
+  return compact({
+    lastName,
+    firstName,
+    nickname: first("NICKNAME"),
+    organization: first("ORG"),
+    phones: (fields.TEL || []).map((number) => ({
+      number: unescapeField(number),
+    })),
+    emails: (fields.EMAIL || []).map((address) => ({
+      address: unescapeField(address),
+    })),
+    addresses: (fields.ADR || []).map((address) => {
+      const [poBox, extended, street, city, region, postalCode, country] =
+        splitUnescaped(address, ",").map(unescapeField);
+      return compact({
+        poBox,
+        extended,
+        street,
+        city,
+        region,
+        postalCode,
+        country,
+      });
+    }),
+    birthday: fields.BDAY && parseBirthday(first("BDAY")),
+    url: first("URL"),
+    note: first("NOTE"),
+  });
+};
+
+// EPC QR code: one element per line after the BCD header
+const parseEPC = (text) => {
+  const lines = text.split(/\r?\n/);
+  if (lines[0] !== "BCD" || lines[3] !== "SCT") {
+    return null;
+  }
+  const [
+    ,
+    ,
+    ,
+    ,
+    bic,
+    name,
+    iban,
+    amount,
+    purpose,
+    reference,
+    remittance,
+    information,
+  ] = lines;
+  return compact({
+    name,
+    iban,
+    bic,
+    amount: amount?.replace(/^EUR/, ""),
+    purpose,
+    reference,
+    text: remittance,
+    information,
+  });
+};
+
+const parseUPI = (text) => {
+  const uri = parseUri(text, "upi");
+  if (!uri || !uri.query.pa) {
+    return null;
+  }
+  return compact({
+    vpa: uri.query.pa,
+    name: uri.query.pn,
+    amount: uri.query.am,
+    currency: uri.query.cu,
+    note: uri.query.tn,
+    reference: uri.query.tr,
+  });
+};
+
+const parseBitcoin = (text) => {
+  const lightning = parseUri(text, "lightning");
+  if (lightning) {
+    return { lightning: lightning.path };
+  }
+  const uri = parseUri(text, "bitcoin");
+  return (
+    uri &&
+    compact({
+      address: uri.path,
+      amount: uri.query.amount,
+      label: uri.query.label,
+      message: uri.query.message,
+      lightning: uri.query.lightning,
+    })
+  );
+};
+
+const parseWhatsApp = (text) => {
+  const match =
+    /^https:\/\/(?:wa\.me|api\.whatsapp\.com\/send)\/?(\d*)(\?.*)?$/i.exec(
+      text
+    );
+  if (!match) {
+    return null;
+  }
+  const { query } = parseUri(`wa:${match[2] || ""}`, "wa");
+  return compact({ phone: match[1] || query.phone, message: query.text });
+};
+
+const parseTelegram = (text) => {
+  const match = /^https:\/\/t\.me\/(\+?)(\w+)(\?.*)?$/i.exec(text);
+  if (!match) {
+    return null;
+  }
+  if (match[1]) {
+    return { phone: match[2] };
+  }
+  const { query } = parseUri(`tg:${match[3] || ""}`, "tg");
+  return compact({ username: match[2], start: query.start });
+};
+
+const parseAppStore = (text) => {
+  const ios = /^https:\/\/(?:apps|itunes)\.apple\.com\/.*\bid(\d+)/i.exec(text);
+  if (ios) {
+    return { platform: "ios", appId: ios[1] };
+  }
+  const android =
+    /^https:\/\/play\.google\.com\/store\/apps\/details\?(?:.*&)?id=([\w.]+)/i.exec(
+      text
+    );
+  return android ? { platform: "android", appId: android[1] } : null;
+};
+
+const CONTENT_PARSERS = {
+  url: (text) => ({ text }),
+  text: (text) => ({ text }),
+  phone: parsePhone,
+  vcard: parseVCard,
+  wifi: parseWifi,
+  email: parseEmail,
+  sms: parseSMS,
+  geo: parseGeo,
+  event: parseEvent,
+  mecard: parseMeCard,
+  epc: parseEPC,
+  upi: parseUPI,
+  bitcoin: parseBitcoin,
+  whatsapp: parseWhatsApp,
+  telegram: parseTelegram,
+  appstore: parseAppStore,
+};
+
+// Types tried in order when detecting a payload; links to messengers and app
+// stores come before plain URLs
+const DETECTION_ORDER = [
+  "wifi",
+  "vcard",
+  "mecard",
+  "event",
+  "email",
+  "sms",
+  "geo",
+  "phone",
+  "epc",
+  "upi",
+  "bitcoin",
+  "whatsapp",
+  "telegram",
+  "appstore",
+];
+
+// Structured content of a payload of the given type, or null when the
+// payload cannot be read as that type
+const parseContent = (qrType, text) => {
+  const parser = CONTENT_PARSERS[qrType];
+  if (!parser || typeof text !== "string") {
+    return null;
+  }
+  return parser(text.trim()) || null;
+};
+
+// Detect the type of a payload; anything else is a URL when it looks like one
+// and plain text otherwise
+const detectContent = (text) => {
+  const payload = String(text).trim();
+  for (const qrType of DETECTION_ORDER) {
+    // Bare numbers are only read as phone numbers when the type is known
+    const content =
+      qrType === "phone" && !/^tel:/i.test(payload)
+        ? null
+        : CONTENT_PARSERS[qrType](payload);
+    if (content) {
+      return { qrType, content };
+    }
+  }
+  const qrType = /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(payload) ? "url" : "text";
+  return { qrType, content: { text: payload } };
+};
+
+module.exports = {
+  parseContent,
+  detectContent,
+};
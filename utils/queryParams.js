@@ -0,0 +1,154 @@
+/**
+ * Query parameters, such as UTM parameters, added to the destination URL when
+ * a scan is redirected. They are set per code and per tag (a campaign); the
+ * code's own win over its tags', and parameters the destination URL already
+ * has are kept. Values may contain placeholders filled in for each scan
+ */
+
+const Campaign = require("../models/Campaign");
+const { ValidationError } = require("./errors");
+const { parseUserAgent } = require("./redirectRules");
+const { VARIANT_TOKEN_PARAM } = require("./splitTests");
+
+const MAX_PARAMS = 20;
+const MAX_NAME_LENGTH = 100;
+const MAX_VALUE_LENGTH = 500;
+const PLACEHOLDERS = [
+  "qrId",
+  "trackingId",
+  "country",
+  "device",
+  "os",
+  "variant",
+];
+
+// Check query parameters given as { name: value } or [{ name, value }]
+const normalizeQueryParams = (params, field = "queryParams") => {
+  if (params === undefined || params === null) {
+    return [];
+  }
+  if (typeof params !== "object") {
+    throw new ValidationError(`${field} must be an object or an array`);
+  }
+  const entries = Array.isArray(params)
+    ? params.map((param) => [param?.name, param?.value])
+    : Object.entries(params);
+  if (entries.length > MAX_PARAMS) {
+    throw new ValidationError(`At most ${MAX_PARAMS} query parameters`);
+  }
+
+  const names = new Set();
+  return entries.map(([name, value], index) => {
+    const paramName = String(name ?? "").trim();
+    const paramValue = String(value ?? "");
+    if (!paramName || paramName.length > MAX_NAME_LENGTH) {
+      throw new ValidationError(
+        `${field}[${index}].name must be 1 to ${MAX_NAME_LENGTH} characters long`
+      );
+    }
+    if (names.has(paramName)) {
+      throw new ValidationError(`${field} has ${paramName} more than once`);
+    }
+    names.add(paramName);
+    if (paramValue.length > MAX_VALUE_LENGTH) {
+      throw new ValidationError(
+        `${field}.${paramName} can be at most ${MAX_VALUE_LENGTH} characters long`
+      );
+    }
+    const unknown = [...paramValue.matchAll(/\{(\w+)\}/g)]
+      .map((match) => match[1])
+      .filter((placeholder) => !PLACEHOLDERS.includes(placeholder));
+    if (unknown.length) {
+      throw new ValidationError(
+        `${field}.${paramName} has unknown placeholders: ${unknown.join(
+          ", "
+        )} (allowed: ${PLACEHOLDERS.map((name) => `{${name}}`).join(", ")})`
+      );
+    }
+    return { name: paramName, value: paramValue };
+  });
+};
+
+// Parameters of a code: those of its tags in tag order, then its own
+const getQueryParams = async (qrCode) => {
+  const tags = qrCode.tags || [];
+  const campaigns = tags.length
+    ? await Campaign.find({ userId: qrCode.userId, tag: { $in: tags } })
+    : [];
+  const params = new Map();
+  for (const tag of tags) {
+    const campaign = campaigns.find((entry) => entry.tag === tag);
+    (campaign?.queryParams || []).forEach(({ name, value }) =>
+      params.set(name, value)
+    );
+  }
+  (qrCode.queryParams || []).forEach(({ name, value }) =>
+    params.set(name, value)
+  );
+  return [...params].map(([name, value]) => ({ name, value }));
+};
+
+// Add parameters to a URL, keeping its query string and fragment as they
+// are. Placeholders are filled from values; parameters left empty are skipped
+const applyQueryParams = (url, params, values = {}) => {
+  const hashIndex = url.indexOf("#");
+  const base = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? "" : url.slice(hashIndex);
+  const queryIndex = base.indexOf("?");
+  const existing = new URLSearchParams(
+    queryIndex === -1 ? "" : base.slice(queryIndex + 1)
+  );
+
+  const added = params
+    .filter(({ name }) => !existing.has(name))
+    .map(({ name, value }) => [
+      name,
+      value.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? ""),
+    ])
+    .filter(([, value]) => value !== "")
+    .map(
+      ([name, value]) =>
+        `${encodeURIComponent(name)}=${encodeURIComponent(value)}`
+    );
+  if (!added.length) {
+    return url;
+  }
+  const separator = queryIndex === -1 ? "?" : /[?&]$/.test(base) ? "" : "&";
+  return `${base}${separator}${added.join("&")}${hash}`;
+};
+
+// URL a scan of a code is redirected to, with the code's parameters filled in
+// for the scan. Scans of a split test also pass their token, which the
+// destination sends back to report a conversion
+const buildRedirectUrl = async (
+  qrCode,
+  url,
+  { trackingId, country, userAgent, variantId, variantToken } = {}
+) => {
+  const params = [
+    ...(await getQueryParams(qrCode)),
+    ...(variantToken
+      ? [{ name: VARIANT_TOKEN_PARAM, value: variantToken }]
+      : []),
+  ];
+  if (!params.length) {
+    return url;
+  }
+  const { device, os } = parseUserAgent(userAgent);
+  return applyQueryParams(url, params, {
+    qrId: String(qrCode._id),
+    trackingId,
+    country: country && country !== "Unknown" ? country : "",
+    device,
+    os,
+    variant: variantId ? String(variantId) : "",
+  });
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  normalizeQueryParams,
+  getQueryParams,
+  applyQueryParams,
+  buildRedirectUrl,
+};
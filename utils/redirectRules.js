@@ -0,0 +1,288 @@
+/**
+ * Rule-based redirects: ordered rules on a code that send a scan to another
+ * destination by device, operating system, country, browser language or
+ * local time. The first matching rule wins; without one a scheduled
+ * destination, a split test variant or the code's own destination is used
+ */
+
+const geoip = require("geoip-lite");
+const { ValidationError } = require("./errors");
+const { isValidTimezone, getZonedParts } = require("./timezones");
+const {
+  isSplitTestActive,
+  pickVariant,
+  getStickyVariant,
+} = require("./splitTests");
+
+const MAX_RULES = 20;
+const DEVICES = ["mobile", "tablet", "desktop"];
+const OPERATING_SYSTEMS = [
+  "ios",
+  "android",
+  "windows",
+  "macos",
+  "linux",
+  "chromeos",
+  "other",
+];
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Device class and operating system of a user agent
+const parseUserAgent = (userAgent = "") => {
+  const ua = String(userAgent).toLowerCase();
+
+  let os = "other";
+  if (/iphone|ipad|ipod/.test(ua)) {
+    os = "ios";
+  } else if (ua.includes("android")) {
+    os = "android";
+  } else if (ua.includes("cros")) {
+    os = "chromeos";
+  } else if (ua.includes("windows")) {
+    os = "windows";
+  } else if (ua.includes("macintosh") || ua.includes("mac os")) {
+    os = "macos";
+  } else if (ua.includes("linux")) {
+    os = "linux";
+  }
+
+  let device = "desktop";
+  if (/ipad|tablet/.test(ua) || (os === "android" && !ua.includes("mobile"))) {
+    device = "tablet";
+  } else if (/mobi|iphone|ipod|phone/.test(ua)) {
+    device = "mobile";
+  }
+
+  return { device, os };
+};
+
+// Language tags of an Accept-Language header, most preferred first
+const parseAcceptLanguage = (header = "") =>
+  String(header)
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const quality = params
+        .map((param) => /^q=([\d.]+)$/.exec(param.trim()))
+        .find(Boolean);
+      return {
+        tag: tag.trim().toLowerCase(),
+        quality: quality ? Number(quality[1]) : 1,
+      };
+    })
+    .filter(({ tag, quality }) => tag && tag !== "*" && quality > 0)
+    .sort((a, b) => b.quality - a.quality)
+    .map(({ tag }) => tag);
+
+// What the rules are matched against, from a request to a code, with the
+// split test variant the scanner saw before. The country is looked up unless
+// given
+const getRequestContext = (req, { qrCodeId, country } = {}) => {
+  if (country === undefined) {
+    const ip = String(req.ip || req.socket?.remoteAddress || "").replace(
+      /^::ffff:/,
+      ""
+    );
+    country = geoip.lookup(ip)?.country;
+  }
+  return {
+    userAgent: req.headers["user-agent"] || "",
+    acceptLanguage: req.headers["accept-language"] || "",
+    country: country || "Unknown",
+    date: new Date(),
+    variantId: qrCodeId ? getStickyVariant(req, qrCodeId).variantId : null,
+  };
+};
+
+const parseMinutes = (value, field) => {
+  const match = /^(\d{2}):(\d{2})$/.exec(String(value));
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new ValidationError(`${field} must be a time as HH:mm`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+// List condition; allowed is the list of values or a format check
+const toList = (value, field, allowed, normalize = (item) => item) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const list = (Array.isArray(value) ? value : [value]).map((item) =>
+    normalize(String(item).trim())
+  );
+  const check = Array.isArray(allowed)
+    ? (item) => allowed.includes(item)
+    : allowed;
+  const invalid = list.filter((item) => !check(item));
+  if (invalid.length) {
+    throw new ValidationError(
+      `${field} has invalid values: ${invalid.join(", ")}${
+        Array.isArray(allowed) ? ` (allowed: ${allowed.join(", ")})` : ""
+      }`
+    );
+  }
+  return list;
+};
+
+// Check the conditions of a rule; at least one is needed. Lists match when
+// any entry matches, and a rule matches when all its conditions do
+const normalizeConditions = (conditions, field = "conditions") => {
+  if (!conditions || typeof conditions !== "object") {
+    throw new ValidationError(`${field} must be an object`);
+  }
+  const { startTime, endTime, timezone } = conditions;
+  const normalized = {
+    devices: toList(conditions.devices, `${field}.devices`, DEVICES, (item) =>
+      item.toLowerCase()
+    ),
+    os: toList(conditions.os, `${field}.os`, OPERATING_SYSTEMS, (item) =>
+      item.toLowerCase()
+    ),
+    countries: toList(
+      conditions.countries,
+      `${field}.countries`,
+      (item) => /^[A-Z]{2}$/.test(item),
+      (item) => item.toUpperCase()
+    ),
+    languages: toList(
+      conditions.languages,
+      `${field}.languages`,
+      (item) => /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/.test(item),
+      (item) => item.toLowerCase()
+    ),
+    days: toList(conditions.days, `${field}.days`, DAYS, (item) =>
+      item.toLowerCase().slice(0, 3)
+    ),
+  };
+  if (startTime || endTime) {
+    parseMinutes(startTime ?? "00:00", `${field}.startTime`);
+    parseMinutes(endTime ?? "00:00", `${field}.endTime`);
+    normalized.startTime = startTime ?? "00:00";
+    normalized.endTime = endTime ?? "00:00";
+  }
+  if (timezone) {
+    if (!isValidTimezone(timezone)) {
+      throw new ValidationError(`${field}.timezone must be an IANA time zone`);
+    }
+    normalized.timezone = timezone;
+  }
+  const hasCondition =
+    normalized.startTime ||
+    ["devices", "os", "countries", "languages", "days"].some(
+      (name) => normalized[name].length
+    );
+  if (!hasCondition) {
+    throw new ValidationError(`${field} needs at least one condition`);
+  }
+  return normalized;
+};
+
+// The parsed request the rules are matched against
+const describeRequest = (context) => {
+  const { device, os } = parseUserAgent(context.userAgent);
+  return {
+    device,
+    os,
+    country: String(context.country || "Unknown").toUpperCase(),
+    languages: parseAcceptLanguage(context.acceptLanguage),
+    date: context.date || new Date(),
+  };
+};
+
+const matchesTime = (conditions, date) => {
+  if (!conditions.days?.length && !conditions.startTime) {
+    return true;
+  }
+  const parts = getZonedParts(date, conditions.timezone || "UTC");
+  const day =
+    DAYS[
+      new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    ];
+  if (conditions.days?.length && !conditions.days.includes(day)) {
+    return false;
+  }
+  if (!conditions.startTime) {
+    return true;
+  }
+  const minutes = parts.hour * 60 + parts.minute;
+  const start = parseMinutes(conditions.startTime);
+  const end = parseMinutes(conditions.endTime);
+  // A window that ends before it starts runs past midnight
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+const matchesRule = ({ conditions = {} }, request) => {
+  const { devices, os, countries, languages } = conditions;
+  // Languages are matched against the most preferred one; "de" matches de-AT
+  const language = request.languages[0] || "";
+  return (
+    (!devices?.length || devices.includes(request.device)) &&
+    (!os?.length || os.includes(request.os)) &&
+    (!countries?.length || countries.includes(request.country)) &&
+    (!languages?.length ||
+      languages.some(
+        (tag) => language === tag || language.startsWith(`${tag}-`)
+      )) &&
+    matchesTime(conditions, request.date)
+  );
+};
+
+// Index of the first rule matching a request, or -1
+const findMatchingRule = (rules, context) => {
+  const request = describeRequest(context);
+  return (rules || []).findIndex((rule) => matchesRule(rule, request));
+};
+
+// Destination of a scan: the first matching rule's, otherwise an active
+// scheduled destination, otherwise a split test variant, otherwise the code's
+// own. Returns the rule or variant that decided it. With reuseVariant, as for
+// requests following a scan, a split test only gives the scanner's earlier
+// variant and never picks a new one
+const resolveRedirect = (qrCode, context, { reuseVariant = false } = {}) => {
+  const date = context.date || new Date();
+  const index = findMatchingRule(qrCode.redirectRules, context);
+  if (index !== -1) {
+    const { name, qrType, text, content } = qrCode.redirectRules[index];
+    return {
+      rule: { index, name },
+      variant: null,
+      destination: { qrType, text, content },
+    };
+  }
+
+  const scheduled = qrCode.getScheduledDestination(date);
+  const picked =
+    !scheduled && isSplitTestActive(qrCode.splitTest)
+      ? reuseVariant
+        ? qrCode.splitTest.variants.find(
+            (variant) => String(variant._id) === context.variantId
+          )
+        : pickVariant(qrCode.splitTest, context.variantId)
+      : null;
+  if (picked) {
+    const { _id, name, qrType, text, content } = picked;
+    return {
+      rule: null,
+      variant: { id: _id, name },
+      destination: { qrType, text, content },
+    };
+  }
+  return {
+    rule: null,
+    variant: null,
+    destination: scheduled || qrCode.getDestination(date),
+  };
+};
+
+module.exports = {
+  MAX_RULES,
+  parseUserAgent,
+  parseAcceptLanguage,
+  getRequestContext,
+  normalizeConditions,
+  describeRequest,
+  findMatchingRule,
+  resolveRedirect,
+};
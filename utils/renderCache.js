@@ -0,0 +1,114 @@
+/**
+ * Content-addressed disk cache for rendered QR code images
+ */
+
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs-extra");
+const Jimp = require("jimp");
+const { renderQRCode } = require("./qrRenderer");
+
+const RENDER_DIR = path.join(__dirname, "../uploads/renders");
+const RENDER_URL_PREFIX = "/uploads/renders";
+
+// Bump when the renderer output changes so new renders do not reuse stale files
+const RENDER_VERSION = 2;
+
+const VARIANTS = {
+  full: { size: 1024, suffix: "" },
+  thumbnail: { size: 256, suffix: "-thumb" },
+};
+
+// Serialize with sorted keys and without empty values so equal settings hash equally
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined && value[key] !== null)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const getRenderKey = (content, customization = {}) =>
+  crypto
+    .createHash("sha256")
+    .update(stableStringify([RENDER_VERSION, content, customization || {}]))
+    .digest("hex");
+
+const getRenderPath = (renderKey, variant = VARIANTS.full) =>
+  path.join(RENDER_DIR, `${renderKey}${variant.suffix}.png`);
+
+const getRenderUrls = (renderKey) => ({
+  imageUrl: `${RENDER_URL_PREFIX}/${renderKey}${VARIANTS.full.suffix}.png`,
+  thumbnailUrl: `${RENDER_URL_PREFIX}/${renderKey}${VARIANTS.thumbnail.suffix}.png`,
+});
+
+// Write through a temporary file so readers never see a partial image
+const writeAtomic = async (filePath, buffer) => {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.outputFile(tempPath, buffer);
+  await fs.move(tempPath, filePath, { overwrite: true });
+};
+
+// Render every variant that is not cached yet and return the render key
+const ensureRenders = async (content, customization = {}) => {
+  const renderKey = getRenderKey(content, customization);
+
+  await Promise.all(
+    Object.values(VARIANTS).map(async (variant) => {
+      const filePath = getRenderPath(renderKey, variant);
+      if (await fs.pathExists(filePath)) {
+        return;
+      }
+      const { buffer } = await renderQRCode(content, customization, {
+        format: "png",
+        size: variant.size,
+      });
+      await writeAtomic(filePath, buffer);
+    })
+  );
+
+  return renderKey;
+};
+
+// Store an already rendered image (e.g. a legacy inline data URL), keyed by its bytes
+const storeImage = async (image) => {
+  const buffer = Buffer.isBuffer(image)
+    ? image
+    : Buffer.from(String(image).split(";base64,").pop(), "base64");
+  const source = await Jimp.read(buffer);
+  const renderKey = `img-${crypto
+    .createHash("sha256")
+    .update(buffer)
+    .digest("hex")}`;
+
+  await Promise.all(
+    Object.values(VARIANTS).map(async (variant) => {
+      const filePath = getRenderPath(renderKey, variant);
+      if (await fs.pathExists(filePath)) {
+        return;
+      }
+      const resized = source.clone();
+      if (resized.getWidth() > variant.size) {
+        resized.resize(variant.size, Jimp.AUTO);
+      }
+      await writeAtomic(filePath, await resized.getBufferAsync(Jimp.MIME_PNG));
+    })
+  );
+
+  return renderKey;
+};
+
+module.exports = {
+  VARIANTS,
+  getRenderKey,
+  getRenderPath,
+  getRenderUrls,
+  ensureRenders,
+  storeImage,
+};
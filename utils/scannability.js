@@ -0,0 +1,246 @@
+/**
+ * Scannability checks for a QR code render: decodes it again and checks the
+ * color contrast and how much of the symbol the logo hides
+ */
+
+const jsQR = require("jsqr");
+const Jimp = require("jimp");
+const { buildScene, renderScene } = require("./qrRenderer");
+const { blendOver, contrastRatio, relativeLuminance } = require("./colors");
+const { ValidationError } = require("./errors");
+const { getSymbology } = require("./symbologies");
+
+// Share of the symbol each error correction level can restore
+const ERROR_CORRECTION_BUDGET = { L: 0.07, M: 0.15, Q: 0.25, H: 0.3 };
+
+const MIN_CONTRAST = 3;
+const RECOMMENDED_CONTRAST = 4.5;
+const LOGO_WARNING_SHARE = 0.66; // Warn once the logo uses two thirds of the budget
+const DECODE_PIXELS_PER_MODULE = [6, 4, 10];
+const MIN_DECODE_SIZE = 256;
+const MAX_DECODE_SIZE = 2048;
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+
+const issue = (severity, code, message) => ({ severity, code, message });
+
+// Worst contrast between any module color and the background behind the code
+const getContrast = (scene) => {
+  const background = scene.qrBackground
+    ? blendOver(scene.qrBackground, WHITE)
+    : WHITE;
+  const colors = scene.qrPaints
+    .flatMap((paint) =>
+      paint.type === "solid"
+        ? [paint.color]
+        : paint.stops.map((stop) => stop.color)
+    )
+    .map((color) => blendOver(color, background));
+
+  return {
+    ratio: Math.min(...colors.map((color) => contrastRatio(color, background))),
+    inverted: colors.some(
+      (color) => relativeLuminance(color) > relativeLuminance(background)
+    ),
+  };
+};
+
+// Share of the symbol area hidden by the logo plate or cleared modules,
+// or else by the opaque pixels of the logo
+const getLogoCoverage = async (scene) => {
+  if (!scene.logo) {
+    return 0;
+  }
+
+  const symbolArea = scene.matrix.moduleCount * scene.matrix.moduleCount;
+  const { image, box, hiddenArea } = scene.logo;
+  if (hiddenArea) {
+    return Math.min(1, hiddenArea / symbolArea);
+  }
+
+  let opaque = 0;
+  image.scan(0, 0, image.getWidth(), image.getHeight(), (x, y, idx) => {
+    if (image.bitmap.data[idx + 3] > 0) opaque++;
+  });
+  const opaqueShare = opaque / (image.getWidth() * image.getHeight());
+
+  return Math.min(1, (box.width * box.height * opaqueShare) / symbolArea);
+};
+
+// Rasterize the scene at a given resolution and run it through a local decoder
+const decodeScene = async (scene, pixelsPerModule) => {
+  const pixels = Math.min(
+    MAX_DECODE_SIZE,
+    Math.max(MIN_DECODE_SIZE, Math.ceil(scene.width * pixelsPerModule))
+  );
+  const png = await renderScene(scene, "png", {
+    pixels,
+    points: pixels,
+    physical: false,
+  });
+  const image = await Jimp.read(png);
+
+  // Transparent areas are assumed to be printed on white
+  const flattened = new Jimp(
+    image.getWidth(),
+    image.getHeight(),
+    0xffffffff
+  ).composite(image, 0, 0);
+  const result = jsQR(
+    new Uint8ClampedArray(flattened.bitmap.data),
+    flattened.getWidth(),
+    flattened.getHeight(),
+    { inversionAttempts: "attemptBoth" }
+  );
+
+  return result ? result.data : null;
+};
+
+// The decoder's thresholding is sensitive to scale, so a code only fails
+// once it cannot be read at any of the sampled resolutions
+const decodeAtAnySize = async (scene) => {
+  for (const pixelsPerModule of DECODE_PIXELS_PER_MODULE) {
+    const decoded = await decodeScene(scene, pixelsPerModule);
+    if (decoded !== null) {
+      return decoded;
+    }
+  }
+  return null;
+};
+
+// Check a render before it is saved; errors make the code unusable, warnings are advisory
+const checkScannability = async (content, customization = {}) => {
+  const scene = await buildScene(content, customization || {});
+  const issues = [];
+
+  const contrast = getContrast(scene);
+  if (contrast.ratio < MIN_CONTRAST) {
+    issues.push(
+      issue(
+        "error",
+        "LOW_CONTRAST",
+        `Contrast between the code and its background is ${contrast.ratio.toFixed(
+          2
+        )}:1; at least ${MIN_CONTRAST}:1 is required`
+      )
+    );
+  } else if (contrast.ratio < RECOMMENDED_CONTRAST) {
+    issues.push(
+      issue(
+        "warning",
+        "LOW_CONTRAST",
+        `Contrast between the code and its background is ${contrast.ratio.toFixed(
+          2
+        )}:1; ${RECOMMENDED_CONTRAST}:1 or more is recommended`
+      )
+    );
+  }
+  if (contrast.inverted) {
+    issues.push(
+      issue(
+        "warning",
+        "INVERTED_COLORS",
+        "Modules are lighter than the background, which some scanners cannot read"
+      )
+    );
+  }
+  if (!scene.qrBackground) {
+    issues.push(
+      issue(
+        "warning",
+        "TRANSPARENT_BACKGROUND",
+        "The background is transparent; contrast was checked against white"
+      )
+    );
+  }
+
+  const symbology = getSymbology(customization?.symbology);
+  if (customization?.logo && !symbology.logo) {
+    issues.push(
+      issue(
+        "warning",
+        "LOGO_NOT_SUPPORTED",
+        `${symbology.name} codes are rendered without the logo`
+      )
+    );
+  }
+
+  const errorCorrectionLevel = scene.matrix?.errorCorrectionLevel || null;
+  const budget = ERROR_CORRECTION_BUDGET[errorCorrectionLevel];
+  const logoCoverage = await getLogoCoverage(scene);
+  if (logoCoverage > budget) {
+    issues.push(
+      issue(
+        "error",
+        "LOGO_TOO_LARGE",
+        `The logo hides ${Math.round(
+          logoCoverage * 100
+        )}% of the code but error correction level ${errorCorrectionLevel} can only restore ${Math.round(
+          budget * 100
+        )}%`
+      )
+    );
+  } else if (logoCoverage > budget * LOGO_WARNING_SHARE) {
+    issues.push(
+      issue(
+        "warning",
+        "LOGO_NEAR_LIMIT",
+        `The logo hides ${Math.round(
+          logoCoverage * 100
+        )}% of the code, close to the ${Math.round(
+          budget * 100
+        )}% error correction level ${errorCorrectionLevel} can restore`
+      )
+    );
+  }
+
+  // The local decoder only reads QR codes
+  const decoded =
+    symbology.id === "qr" ? await decodeAtAnySize(scene) : undefined;
+  if (decoded === undefined) {
+    issues.push(
+      issue(
+        "warning",
+        "DECODE_NOT_VERIFIED",
+        `${symbology.name} codes are not verified by decoding`
+      )
+    );
+  } else if (decoded === null) {
+    issues.push(
+      issue("error", "DECODE_FAILED", "The rendered code could not be decoded")
+    );
+  } else if (decoded !== content) {
+    issues.push(
+      issue(
+        "error",
+        "DECODE_MISMATCH",
+        "The rendered code decodes to different content"
+      )
+    );
+  }
+
+  return {
+    scannable: !issues.some((item) => item.severity === "error"),
+    decoded: decoded === undefined ? null : decoded === content,
+    contrastRatio: Math.round(contrast.ratio * 100) / 100,
+    logoCoverage: Math.round(logoCoverage * 1000) / 1000,
+    errorCorrectionLevel,
+    issues,
+  };
+};
+
+// Reject renders that fail the checks; returns the remaining warnings otherwise
+const assertScannable = async (content, customization = {}) => {
+  const report = await checkScannability(content, customization);
+  if (!report.scannable) {
+    throw new ValidationError("QR code failed scannability checks", {
+      issues: report.issues,
+    });
+  }
+  return report.issues;
+};
+
+module.exports = {
+  ERROR_CORRECTION_BUDGET,
+  checkScannability,
+  assertScannable,
+};
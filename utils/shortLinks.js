@@ -0,0 +1,182 @@
+/**
+ * Short links: tracked codes encode /s/<code> instead of the longer
+ * /track/<id>/<trackingId>, which keeps the symbol small. Codes are generated,
+ * or chosen by the user as a vanity slug
+ */
+
+const crypto = require("crypto");
+const QRCode = require("../models/QRCode");
+const { ValidationError } = require("./errors");
+
+const SHORT_LINK_PATH = "/s";
+
+// Without vowels generated codes cannot spell words, and without 0, 1, l and o
+// they cannot be misread when typed
+const CODE_ALPHABET = "23456789bcdfghjkmnpqrstvwxyz";
+const CODE_LENGTH = 6;
+const MAX_ATTEMPTS = 5;
+
+const SLUG_MIN_LENGTH = 3;
+const SLUG_MAX_LENGTH = 50;
+
+// Paths of the app and words that would make a link look official
+const RESERVED_SLUGS = [
+  "about",
+  "account",
+  "admin",
+  "api",
+  "app",
+  "assets",
+  "auth",
+  "billing",
+  "convert",
+  "dashboard",
+  "download",
+  "help",
+  "link",
+  "login",
+  "logout",
+  "new",
+  "null",
+  "page",
+  "register",
+  "root",
+  "s",
+  "security",
+  "settings",
+  "signup",
+  "static",
+  "support",
+  "system",
+  "track",
+  "undefined",
+  "uploads",
+  "verify",
+  "www",
+];
+
+// Words a slug may not contain as a part between hyphens, and the few that are
+// blocked anywhere since no harmless word contains them. Digits standing in
+// for letters are read back first
+const BLOCKED_WORDS = [
+  "anal",
+  "bitch",
+  "bollocks",
+  "boob",
+  "cock",
+  "cunt",
+  "dick",
+  "dildo",
+  "fag",
+  "nazi",
+  "penis",
+  "pussy",
+  "rape",
+  "shit",
+  "slut",
+  "twat",
+  "vagina",
+  "wank",
+  "whore",
+];
+const BLOCKED_PARTS = ["fuck", "jizz", "nigg", "porn"];
+
+const LOOKALIKES = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b" };
+
+const containsBlockedWord = (slug) => {
+  const letters = slug.replace(/[013578]/g, (digit) => LOOKALIKES[digit]);
+  return (
+    BLOCKED_PARTS.some((part) => letters.replace(/-/g, "").includes(part)) ||
+    letters
+      .split("-")
+      .some((word) =>
+        BLOCKED_WORDS.some(
+          (blocked) => word === blocked || word === `${blocked}s`
+        )
+      )
+  );
+};
+
+// A code or slug can only belong to one code, whichever field holds it
+const isTaken = async (value, qrCodeId = null) =>
+  Boolean(
+    await QRCode.exists({
+      $or: [{ shortCode: value }, { slug: value }],
+      ...(qrCodeId && { _id: { $ne: qrCodeId } }),
+    })
+  );
+
+const generateCode = () =>
+  Array.from(
+    { length: CODE_LENGTH },
+    () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+  ).join("");
+
+// New unused short code
+const generateShortCode = async () => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const code = generateCode();
+    if (!(await isTaken(code))) {
+      return code;
+    }
+  }
+  throw new Error("Could not generate an unused short code");
+};
+
+// Check a vanity slug; slugs are lowercase letters, digits and single hyphens
+const normalizeSlug = (slug) => {
+  const normalized = String(slug ?? "")
+    .trim()
+    .toLowerCase();
+  if (
+    normalized.length < SLUG_MIN_LENGTH ||
+    normalized.length > SLUG_MAX_LENGTH
+  ) {
+    throw new ValidationError(
+      `slug must be ${SLUG_MIN_LENGTH} to ${SLUG_MAX_LENGTH} characters long`
+    );
+  }
+  if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(normalized)) {
+    throw new ValidationError(
+      "slug may only contain letters, digits and single hyphens between them"
+    );
+  }
+  if (RESERVED_SLUGS.includes(normalized)) {
+    throw new ValidationError("This slug is reserved", { slug: normalized });
+  }
+  if (containsBlockedWord(normalized)) {
+    throw new ValidationError("This slug is not allowed", {
+      slug: normalized,
+    });
+  }
+  return normalized;
+};
+
+// Normalized slug when nobody else uses it as a slug or short code
+const resolveSlug = async (slug, qrCodeId = null) => {
+  const normalized = normalizeSlug(slug);
+  if (await isTaken(normalized, qrCodeId)) {
+    throw new ValidationError("This slug is already taken", {
+      slug: normalized,
+    });
+  }
+  return normalized;
+};
+
+// Code a short link points to; links are not case sensitive
+const findByShortLink = (code) => {
+  const value = String(code).toLowerCase();
+  return QRCode.findOne({ $or: [{ shortCode: value }, { slug: value }] });
+};
+
+const createShortUrl = (baseUrl, code) =>
+  `${baseUrl}${SHORT_LINK_PATH}/${code}`;
+
+module.exports = {
+  SHORT_LINK_PATH,
+  generateShortCode,
+  normalizeSlug,
+  resolveSlug,
+  findByShortLink,
+  createShortUrl,
+};
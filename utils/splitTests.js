@@ -0,0 +1,265 @@
+/**
+ * Split tests: a code sends its scans to destination variants by weight,
+ * keeps returning scanners on their variant with a cookie and counts scans
+ * and conversions per variant. Destinations report a conversion with the
+ * token of the scan they got in their URL. The best variant can be promoted
+ * to the destination of the code, by hand or after a number of scans
+ */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const QRCode = require("../models/QRCode");
+const { ValidationError } = require("./errors");
+const { pickDestination, recordVersion } = require("./destinations");
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 10;
+const COOKIE_PREFIX = "qr_variant_";
+// Query parameter carrying the token of a scan to and back from the destination
+const VARIANT_TOKEN_PARAM = "qr_variant";
+const COOKIE_MAX_AGE = 90 * 24 * 60 * 60 * 1000; // 90 days
+const AUTO_PROMOTION_AUTHOR = "split-test";
+
+const isSplitTestActive = (splitTest) =>
+  Boolean(splitTest?.variants?.length && !splitTest.promotedVariantId);
+
+// Check the variants of a new test; destinations are resolved by the caller
+const validateVariants = (variants) => {
+  if (
+    !Array.isArray(variants) ||
+    variants.length < MIN_VARIANTS ||
+    variants.length > MAX_VARIANTS
+  ) {
+    throw new ValidationError(
+      `variants must be an array of ${MIN_VARIANTS} to ${MAX_VARIANTS} variants`
+    );
+  }
+  variants.forEach((variant, index) => {
+    if (!variant || typeof variant !== "object") {
+      throw new ValidationError(`variants[${index}] must be an object`);
+    }
+    const weight = Number(variant.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new ValidationError(
+        `variants[${index}].weight must be a positive number`
+      );
+    }
+  });
+};
+
+// Variant for a scan: the scanner's earlier variant while it is still part
+// of the test, otherwise one picked at random by weight
+const pickVariant = (splitTest, stickyVariantId) => {
+  const { variants } = splitTest;
+  const sticky =
+    stickyVariantId &&
+    variants.find((variant) => String(variant._id) === stickyVariantId);
+  if (sticky) {
+    return sticky;
+  }
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = crypto.randomInt(0, 1e9) / 1e9;
+  for (const variant of variants) {
+    point -= variant.weight / total;
+    if (point < 0) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+};
+
+const getCookieName = (qrCodeId) => `${COOKIE_PREFIX}${qrCodeId}`;
+
+const readCookie = (req, name) => {
+  const cookie = String(req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim().split("="))
+    .find(([key]) => key === name);
+  return cookie ? decodeURIComponent(cookie.slice(1).join("=")) : null;
+};
+
+// Token of a recorded scan sent to a variant, signed so conversions can only
+// be reported for scans that happened. The destination gets it in the
+// redirect URL and the scanner in a cookie; either reports a conversion
+const signScan = (qrCodeId, variantId, scanId) =>
+  crypto
+    .createHmac("sha256", `${process.env.JWT_SECRET}:split-test`)
+    .update(`${qrCodeId}:${variantId}:${scanId}`)
+    .digest("base64url");
+
+const createVariantToken = (qrCodeId, variantId, scanId) =>
+  `${variantId}.${scanId}.${signScan(qrCodeId, variantId, scanId)}`;
+
+// Variant and scan of a token; both null when it was not issued for the code
+const readVariantToken = (qrCodeId, token) => {
+  const [variantId, scanId, signature] = String(token || "").split(".");
+  const expected =
+    variantId && scanId ? signScan(qrCodeId, variantId, scanId) : "";
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return { variantId: null, scanId: null };
+  }
+  return { variantId, scanId };
+};
+
+// Variant and scan a returning scanner was last sent to
+const getStickyVariant = (req, qrCodeId) =>
+  readVariantToken(qrCodeId, readCookie(req, getCookieName(qrCodeId)));
+
+// Remember the variant a scan was sent to. Returns the ID to record the scan
+// under and its token. The cookie is sent cross-site over HTTPS so
+// destination pages can report conversions with it too
+const rememberVariant = (req, res, qrCodeId, variantId) => {
+  const scanId = new mongoose.Types.ObjectId();
+  const token = createVariantToken(qrCodeId, variantId, scanId);
+  res.cookie(getCookieName(qrCodeId), token, {
+    maxAge: COOKIE_MAX_AGE,
+    httpOnly: true,
+    secure: req.secure,
+    sameSite: req.secure ? "none" : "lax",
+  });
+  return { scanId, token };
+};
+
+// Count a conversion for the variant of a recorded scan while the test runs;
+// each scan converts once
+const recordConversion = async (qrCodeId, { variantId, scanId }) => {
+  try {
+    const result = await QRCode.updateOne(
+      {
+        _id: qrCodeId,
+        "splitTest.promotedVariantId": null,
+        "splitTest.variants._id": variantId,
+        "analytics.scanLocations": {
+          $elemMatch: { _id: scanId, variantId, converted: { $ne: true } },
+        },
+      },
+      {
+        $inc: { "splitTest.variants.$[variant].conversions": 1 },
+        $set: { "analytics.scanLocations.$[scan].converted": true },
+      },
+      { arrayFilters: [{ "variant._id": variantId }, { "scan._id": scanId }] }
+    );
+    return result.modifiedCount > 0;
+  } catch (error) {
+    console.error("[recordConversion] Error recording conversion:", error);
+    return false;
+  }
+};
+
+const getConversionRate = ({ scans, conversions }) =>
+  scans ? conversions / scans : 0;
+
+// Variant with the best conversion rate, more conversions breaking ties; null
+// while no variant converted
+const findLeader = (splitTest) => {
+  const ranked = [...splitTest.variants]
+    .filter((variant) => variant.conversions > 0)
+    .sort(
+      (a, b) =>
+        getConversionRate(b) - getConversionRate(a) ||
+        b.conversions - a.conversions
+    );
+  return ranked[0] || null;
+};
+
+// Make a variant the destination of the code and end the test; recorded as a
+// new version. Returns null when the test was promoted meanwhile
+const promoteVariant = async (qrCode, variantId, userId) => {
+  const variant = qrCode.splitTest?.variants.id(variantId);
+  if (!variant) {
+    throw new ValidationError("Variant not found");
+  }
+  const previous = pickDestination(qrCode);
+  const promoted = await QRCode.findOneAndUpdate(
+    { _id: qrCode._id, "splitTest.promotedVariantId": null },
+    {
+      $set: {
+        ...pickDestination(variant),
+        "splitTest.promotedVariantId": variant._id,
+        "splitTest.promotedAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!promoted) {
+    return null;
+  }
+  await recordVersion(promoted, previous, userId);
+  return promoted;
+};
+
+// Promote the leader once the test has as many scans as configured
+const promoteIfDue = async (qrCodeId) => {
+  try {
+    const qrCode = await QRCode.findById(qrCodeId);
+    const splitTest = qrCode?.splitTest;
+    if (!isSplitTestActive(splitTest) || !splitTest.autoPromoteAfter) {
+      return null;
+    }
+    const scans = splitTest.variants.reduce(
+      (sum, variant) => sum + variant.scans,
+      0
+    );
+    const leader = findLeader(splitTest);
+    if (scans < splitTest.autoPromoteAfter || !leader) {
+      return null;
+    }
+    return await promoteVariant(qrCode, leader._id, AUTO_PROMOTION_AUTHOR);
+  } catch (error) {
+    console.error("[promoteIfDue] Error promoting split test variant:", error);
+    return null;
+  }
+};
+
+// Results per variant for the analytics
+const getSplitTestReport = (splitTest) => {
+  const totalScans = splitTest.variants.reduce(
+    (sum, variant) => sum + variant.scans,
+    0
+  );
+  const totalWeight = splitTest.variants.reduce(
+    (sum, variant) => sum + variant.weight,
+    0
+  );
+  const leader = findLeader(splitTest);
+  return {
+    active: isSplitTestActive(splitTest),
+    startedAt: splitTest.startedAt,
+    autoPromoteAfter: splitTest.autoPromoteAfter,
+    promotedVariantId: splitTest.promotedVariantId,
+    promotedAt: splitTest.promotedAt,
+    leaderId: leader ? leader._id : null,
+    totalScans,
+    variants: splitTest.variants.map((variant) => ({
+      id: variant._id,
+      name: variant.name,
+      weight: variant.weight,
+      share: variant.weight / totalWeight,
+      text: variant.text,
+      scans: variant.scans,
+      scanShare: totalScans ? variant.scans / totalScans : 0,
+      conversions: variant.conversions,
+      conversionRate: getConversionRate(variant),
+    })),
+  };
+};
+
+module.exports = {
+  MIN_VARIANTS,
+  MAX_VARIANTS,
+  VARIANT_TOKEN_PARAM,
+  isSplitTestActive,
+  validateVariants,
+  pickVariant,
+  readVariantToken,
+  getStickyVariant,
+  rememberVariant,
+  recordConversion,
+  promoteVariant,
+  promoteIfDue,
+  getSplitTestReport,
+};
@@ -0,0 +1,166 @@
+/**
+ * Barcode symbologies besides QR: content rules and encoding into module
+ * matrices (2D codes) or bars (linear codes) for the renderer
+ */
+
+const bwipjs = require("bwip-js");
+const { ValidationError } = require("./errors");
+
+// QR codes are encoded by the renderer itself; the others go through bwip-js
+const SYMBOLOGIES = {
+  qr: { name: "QR Code", linear: false, logo: true, tracking: true },
+  datamatrix: {
+    name: "Data Matrix",
+    bcid: "datamatrix",
+    linear: false,
+    logo: false,
+    tracking: true,
+  },
+  pdf417: {
+    name: "PDF417",
+    bcid: "pdf417",
+    linear: false,
+    logo: false,
+    tracking: true,
+  },
+  aztec: {
+    name: "Aztec",
+    bcid: "azteccode",
+    linear: false,
+    logo: false,
+    tracking: true,
+  },
+  code128: {
+    name: "Code 128",
+    bcid: "code128",
+    linear: true,
+    logo: false,
+    tracking: true,
+    maxLength: 80,
+  },
+  // EAN-13 only carries digits, so it cannot encode a tracking URL
+  ean13: {
+    name: "EAN-13",
+    bcid: "ean13",
+    linear: true,
+    logo: false,
+    tracking: false,
+    barHeight: 69, // Nominal bar height relative to the module width
+  },
+};
+
+const SYMBOLOGY_NAMES = Object.keys(SYMBOLOGIES);
+
+const getSymbology = (symbology = "qr") => {
+  const definition = SYMBOLOGIES[symbology];
+  if (!definition) {
+    throw new ValidationError(
+      `Symbology must be one of: ${SYMBOLOGY_NAMES.join(", ")}`
+    );
+  }
+  return { id: symbology, ...definition };
+};
+
+// GS1 check digit: weights 1 and 3 alternate from the left
+const getEanCheckDigit = (digits) => {
+  const sum = [...digits].reduce(
+    (total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1),
+    0
+  );
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Per-symbology content rules, checked before encoding
+const CONTENT_RULES = {
+  ean13: (text) => {
+    if (!/^\d{12,13}$/.test(text)) {
+      throw new ValidationError("EAN-13 content must be 12 or 13 digits");
+    }
+    const checkDigit = getEanCheckDigit(text.slice(0, 12));
+    if (text.length === 13 && text[12] !== checkDigit) {
+      throw new ValidationError(
+        `Invalid EAN-13 check digit: expected ${checkDigit}, got ${text[12]}`
+      );
+    }
+  },
+  code128: (text) => {
+    // Code 128 covers ASCII plus Latin-1 through its shift character
+    if (!/^[\x00-\xff]+$/.test(text)) {
+      throw new ValidationError(
+        "Code 128 content may only contain ASCII and Latin-1 characters"
+      );
+    }
+  },
+};
+
+// Run bwip-js and turn its errors into validation errors about the content
+const encodeRaw = (text, definition, options = {}) => {
+  if (!text) {
+    throw new ValidationError(`${definition.name} content cannot be empty`);
+  }
+  if (definition.maxLength && text.length > definition.maxLength) {
+    throw new ValidationError(
+      `${definition.name} content must be at most ${definition.maxLength} characters`
+    );
+  }
+  CONTENT_RULES[definition.id]?.(text);
+
+  try {
+    return bwipjs.raw({ ...options, bcid: definition.bcid, text })[0];
+  } catch (error) {
+    const message = String(error.message || error).replace(
+      /^bwipp\.\w+#\d+:\s*/,
+      ""
+    );
+    throw new ValidationError(
+      `Content cannot be encoded as ${definition.name}: ${message}`
+    );
+  }
+};
+
+// Module grid of a 2D symbology; PDF417 rows are several modules high
+const encodeMatrix = (text, definition) => {
+  const raw = encodeRaw(text, definition);
+  const columns = raw.pixx;
+  const rows = raw.pixs.length / raw.pixx;
+
+  return {
+    columns,
+    rows,
+    moduleHeight: raw.pixy / rows,
+    isDark: (row, col) =>
+      row >= 0 &&
+      col >= 0 &&
+      row < rows &&
+      col < columns &&
+      raw.pixs[row * columns + col] === 1,
+  };
+};
+
+// Bars of a linear symbology in modules from the first bar. Extended bars
+// (EAN guard bars) reach down into the human-readable text
+const encodeBars = (text, definition) => {
+  // Guard bars are only marked as extended when text is requested
+  const raw = encodeRaw(text, definition, { includetext: true });
+  const bars = [];
+  let x = 0;
+
+  raw.sbs.forEach((width, index) => {
+    // Widths alternate between bars and spaces, starting with a bar
+    if (index % 2 === 0) {
+      bars.push({ x, width, extended: raw.bbs[index / 2] < 0 });
+    }
+    x += width;
+  });
+
+  return { bars, width: x };
+};
+
+module.exports = {
+  SYMBOLOGIES,
+  SYMBOLOGY_NAMES,
+  getSymbology,
+  getEanCheckDigit,
+  encodeMatrix,
+  encodeBars,
+};
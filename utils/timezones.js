@@ -0,0 +1,129 @@
+/**
+ * IANA time zone helpers for calendar events, based on the Intl API
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    getFormatter(String(timezone));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock time of an instant in a time zone
+const getZonedParts = (date, timezone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timezone)
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+// UTC offset of a time zone at an instant, in minutes
+const getOffset = (time, timezone) => {
+  const seconds = Math.floor(time / 1000) * 1000;
+  const parts = getZonedParts(new Date(seconds), timezone);
+  const local = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round((local - seconds) / MINUTE);
+};
+
+// Instant of a wall-clock time in a time zone; times skipped by a change to
+// daylight saving time are moved forward by the change
+const zonedTimeToDate = (
+  { year, month, day, hour = 0, minute = 0, second = 0 },
+  timezone
+) => {
+  const local = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = local - getOffset(local, timezone) * MINUTE;
+  return new Date(local - getOffset(guess, timezone) * MINUTE);
+};
+
+// Offset changes of a time zone from the start of fromYear to the end of
+// toYear, each with the local time (before the change) it happens at. Zones
+// without changes get a single entry for their fixed offset
+const getOffsetChanges = (timezone, fromYear, toYear) => {
+  const start = Date.UTC(fromYear, 0, 1);
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const changes = [];
+  let previous = getOffset(start, timezone);
+
+  for (let time = start + DAY; time <= end; time += DAY) {
+    const offset = getOffset(time, timezone);
+    if (offset === previous) {
+      continue;
+    }
+    // Bisect the day down to the minute the offset changes
+    let low = time - DAY;
+    let high = time;
+    while (high - low > MINUTE) {
+      const middle = low + Math.floor((high - low) / 2 / MINUTE) * MINUTE;
+      if (getOffset(middle, timezone) === previous) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    changes.push({
+      localTime: new Date(high + previous * MINUTE),
+      offsetFrom: previous,
+      offsetTo: offset,
+    });
+    previous = offset;
+  }
+
+  if (!changes.length) {
+    changes.push({
+      localTime: new Date(Date.UTC(1970, 0, 1)),
+      offsetFrom: previous,
+      offsetTo: previous,
+    });
+  }
+  return changes;
+};
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToDate,
+  getOffsetChanges,
+};
@@ -0,0 +1,76 @@
+/**
+ * Vector path helpers; every path is built from absolute M/L/C/Z commands only
+ * so it can be emitted as SVG, PDF or PostScript without further conversion
+ */
+
+const KAPPA = 0.5522847498; // Bezier handle length for quarter circles
+
+const formatNumber = (value) => +value.toFixed(4);
+
+// Rectangle path with per-corner radii [topLeft, topRight, bottomRight, bottomLeft], drawn clockwise
+const roundedRectPath = (x, y, width, height, radii = [0, 0, 0, 0]) => {
+  const [tl, tr, br, bl] = radii.map((r) =>
+    Math.min(r || 0, width / 2, height / 2)
+  );
+  const n = formatNumber;
+  const k = KAPPA;
+  const right = x + width;
+  const bottom = y + height;
+
+  let d = `M${n(x + tl)} ${n(y)}L${n(right - tr)} ${n(y)}`;
+  if (tr) {
+    d += `C${n(right - tr + tr * k)} ${n(y)} ${n(right)} ${n(
+      y + tr - tr * k
+    )} ${n(right)} ${n(y + tr)}`;
+  }
+  d += `L${n(right)} ${n(bottom - br)}`;
+  if (br) {
+    d += `C${n(right)} ${n(bottom - br + br * k)} ${n(right - br + br * k)} ${n(
+      bottom
+    )} ${n(right - br)} ${n(bottom)}`;
+  }
+  d += `L${n(x + bl)} ${n(bottom)}`;
+  if (bl) {
+    d += `C${n(x + bl - bl * k)} ${n(bottom)} ${n(x)} ${n(
+      bottom - bl + bl * k
+    )} ${n(x)} ${n(bottom - bl)}`;
+  }
+  d += `L${n(x)} ${n(y + tl)}`;
+  if (tl) {
+    d += `C${n(x)} ${n(y + tl - tl * k)} ${n(x + tl - tl * k)} ${n(y)} ${n(
+      x + tl
+    )} ${n(y)}`;
+  }
+  return d + "Z";
+};
+
+// Closed polygon through the given [x, y] points
+const polygonPath = (points) =>
+  points
+    .map(
+      ([x, y], index) =>
+        `${index === 0 ? "M" : "L"}${formatNumber(x)} ${formatNumber(y)}`
+    )
+    .join("") + "Z";
+
+// Shift a path by an offset; M/L/C arguments are plain coordinate pairs
+const translatePath = (d, dx, dy) =>
+  d.replace(/([MLC])([^MLCZ]+)/g, (match, command, args) => {
+    const values = args
+      .trim()
+      .split(/[\s,]+/)
+      .map(Number);
+    return (
+      command +
+      values
+        .map((value, index) => formatNumber(value + (index % 2 ? dy : dx)))
+        .join(" ")
+    );
+  });
+
+module.exports = {
+  formatNumber,
+  roundedRectPath,
+  polygonPath,
+  translatePath,
+};